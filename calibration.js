@@ -0,0 +1,297 @@
+import path from 'path';
+import fs from 'fs';
+import { createConsoleLogger } from './logger.js';
+import { RerankerError, InvalidInputError } from './errors.js';
+
+/**
+ * ====================================================================
+ * CALIBRATION MODULE - Fitted score calibration per model
+ * ====================================================================
+ *
+ * Cross-encoder scores come out of a fixed sigmoid/softmax and are not
+ * calibrated probabilities; a 0.8 from one model means something different
+ * from a 0.8 from another. This module fits a small logistic correction
+ * from labeled examples and stores it per model name in a JSON file.
+ *
+ * Supported methods:
+ * - 'temperature': p = sigmoid(z / T)        (one parameter, keeps ranking)
+ * - 'platt':       p = sigmoid(a * z + b)    (two parameters, keeps ranking)
+ * where z is the logit of the uncalibrated score. Scores that are logits already
+ * (raw-logit and log-softmax-margin score heads) use fitLogits()/applyLogit().
+ *
+ * Usage:
+ *   import { ScoreCalibrator } from './calibration.js';
+ *   const calibrator = new ScoreCalibrator({ filePath: './models/calibration.json' });
+ *   const params = ScoreCalibrator.fit(scores, labels, { method: 'platt' });
+ *   calibrator.setCalibration('Xenova/ms-marco-MiniLM-L-6-v2', params);
+ *   calibrator.save();
+ */
+
+const CALIBRATION_METHODS = ['temperature', 'platt'];
+const DEFAULT_THRESHOLD = 0.5;
+const EPSILON = 1e-12;
+
+// --- Pure JavaScript math helpers ---
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+function toLogit(p) {
+  const clamped = Math.min(1 - EPSILON, Math.max(EPSILON, p));
+  return Math.log(clamped / (1 - clamped));
+}
+
+/**
+ * Fit p = sigmoid(a * z + b) to targets by damped Newton's method on the log loss
+ * @param {Array<number>} z - Input logits
+ * @param {Array<number>} targets - Target probabilities in [0, 1]
+ * @param {Object} options
+ * @param {boolean} options.fitBias - Fit b as well as a (false keeps b = 0)
+ * @returns {{a: number, b: number, loss: number, iterations: number}}
+ */
+function fitLogistic(z, targets, { fitBias }) {
+  const lossAt = (a, b) => {
+    let loss = 0;
+    for (let i = 0; i < z.length; i++) {
+      const p = Math.min(1 - EPSILON, Math.max(EPSILON, sigmoid(a * z[i] + b)));
+      loss -= targets[i] * Math.log(p) + (1 - targets[i]) * Math.log(1 - p);
+    }
+    return loss / z.length;
+  };
+
+  let a = 1;
+  let b = 0;
+  let loss = lossAt(a, b);
+  let iterations = 0;
+
+  for (; iterations < 100; iterations++) {
+    let ga = 0, gb = 0, haa = 0, hab = 0, hbb = 0;
+    for (let i = 0; i < z.length; i++) {
+      const p = sigmoid(a * z[i] + b);
+      const d = p - targets[i];
+      const w = p * (1 - p);
+      ga += d * z[i];
+      gb += d;
+      haa += w * z[i] * z[i];
+      hab += w * z[i];
+      hbb += w;
+    }
+    ga /= z.length; gb /= z.length;
+    haa = haa / z.length + 1e-8; hab /= z.length; hbb = hbb / z.length + 1e-8;
+
+    if (Math.abs(ga) + (fitBias ? Math.abs(gb) : 0) < 1e-9) break;
+
+    // Newton direction (1D when only the slope is fitted)
+    let da, db;
+    if (fitBias) {
+      const det = haa * hbb - hab * hab;
+      da = -(hbb * ga - hab * gb) / det;
+      db = -(haa * gb - hab * ga) / det;
+    } else {
+      da = -ga / haa;
+      db = 0;
+    }
+
+    // Backtracking line search keeps every step a descent step
+    let step = 1;
+    let nextLoss = lossAt(a + step * da, b + step * db);
+    while (nextLoss > loss + 1e-4 * step * (ga * da + gb * db) && step > 1e-10) {
+      step /= 2;
+      nextLoss = lossAt(a + step * da, b + step * db);
+    }
+
+    a += step * da;
+    b += step * db;
+    const improvement = loss - nextLoss;
+    loss = nextLoss;
+    if (improvement < 1e-12) break;
+  }
+
+  return { a, b, loss, iterations };
+}
+
+// ====================================================================
+// SCORE CALIBRATOR CLASS
+// ====================================================================
+
+/**
+ * Stores fitted calibration parameters and relevance thresholds per model name,
+ * persisted as one JSON file.
+ */
+class ScoreCalibrator {
+  /**
+   * @param {Object} [options={}]
+   * @param {string|null} [options.filePath=null] - JSON file to load from and save to
+   *   - null: Keep calibration in memory only
+   *   - string: Loaded immediately if it exists, written by save()
+   * @param {Object|null} [options.logger=null] - Logger with debug, info, warn, error methods
+   */
+  constructor({ filePath = null, logger = null } = {}) {
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.logger = logger || createConsoleLogger();
+    this.models = {};
+
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      this.load();
+    }
+  }
+
+  /**
+   * Fit calibration parameters from uncalibrated scores and binary relevance labels
+   * @param {Array<number>} scores - Uncalibrated scores in (0, 1), as returned by getScores()
+   * @param {Array<boolean|number>} labels - Relevance label for each score
+   * @param {Object} [options={}]
+   * @param {string} [options.method='platt'] - 'temperature' or 'platt'
+   * @returns {Object} Parameters for setCalibration(), e.g. { method: 'platt', a, b, samples, loss, fittedAt }
+   * @throws {InvalidInputError} If inputs are mismatched or contain only one class
+   */
+  static fit(scores, labels, { method = 'platt' } = {}) {
+    if (!Array.isArray(scores)) {
+      throw new InvalidInputError('Calibration needs one label per score.', { param: 'scores' });
+    }
+    return ScoreCalibrator.fitLogits(scores.map(toLogit), labels, { method });
+  }
+
+  /**
+   * Fit calibration parameters from logits (e.g. raw-logit or log-softmax-margin scores).
+   * Same as fit(), without converting probabilities to logits first.
+   * @param {Array<number>} z - Uncalibrated scores on the logit scale
+   * @param {Array<boolean|number>} labels - Relevance label for each logit
+   * @param {Object} [options={}]
+   * @param {string} [options.method='platt'] - 'temperature' or 'platt'
+   * @returns {Object} Parameters for setCalibration()
+   * @throws {InvalidInputError} If inputs are mismatched or contain only one class
+   */
+  static fitLogits(z, labels, { method = 'platt' } = {}) {
+    if (!CALIBRATION_METHODS.includes(method)) {
+      throw new InvalidInputError(`Unknown calibration method "${method}". Expected one of: ${CALIBRATION_METHODS.join(', ')}`, { param: 'method' });
+    }
+    if (!Array.isArray(z) || !Array.isArray(labels) || z.length !== labels.length) {
+      throw new InvalidInputError('Calibration needs one label per score.', { param: 'labels' });
+    }
+
+    const y = labels.map(label => (label ? 1 : 0));
+    const positives = y.filter(v => v === 1).length;
+    const negatives = y.length - positives;
+    if (positives === 0 || negatives === 0) {
+      throw new InvalidInputError('Calibration needs both relevant and non-relevant examples.', { param: 'labels' });
+    }
+
+    if (method === 'temperature') {
+      const { a, loss } = fitLogistic(z, y, { fitBias: false });
+      // A non-positive slope would invert the ranking; treat it as "no signal"
+      const temperature = a > 1e-6 ? 1 / a : 1e6;
+      return { method, temperature, samples: y.length, loss, fittedAt: new Date().toISOString() };
+    }
+
+    // Platt's smoothed targets avoid overconfident fits on small label sets
+    const highTarget = (positives + 1) / (positives + 2);
+    const lowTarget = 1 / (negatives + 2);
+    const targets = y.map(v => (v ? highTarget : lowTarget));
+    const { a, b, loss } = fitLogistic(z, targets, { fitBias: true });
+    return { method, a, b, samples: y.length, loss, fittedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Store fitted parameters for a model, keeping its relevance threshold
+   * @param {string} modelName - Model identifier
+   * @param {Object} params - Output of ScoreCalibrator.fit()
+   */
+  setCalibration(modelName, params) {
+    const threshold = this.models[modelName]?.threshold;
+    this.models[modelName] = { ...params, ...(threshold !== undefined && { threshold }) };
+    this.logger.info(`[Calibration] Stored ${params.method} calibration for model "${modelName}"`);
+  }
+
+  /**
+   * Get the stored parameters for a model
+   * @param {string} modelName - Model identifier
+   * @returns {Object|null}
+   */
+  getCalibration(modelName) {
+    return this.models[modelName] || null;
+  }
+
+  /**
+   * Check whether a model has fitted calibration parameters (a threshold alone does not count)
+   * @param {string} modelName - Model identifier
+   * @returns {boolean}
+   */
+  hasCalibration(modelName) {
+    return Boolean(this.models[modelName]?.method);
+  }
+
+  /**
+   * Set the score above which a document is labeled RELEVANT for a model
+   * @param {string} modelName - Model identifier
+   * @param {number} threshold - Threshold in [0, 1]
+   */
+  setThreshold(modelName, threshold) {
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+      throw new InvalidInputError(`Relevance threshold must be a number between 0 and 1, got ${threshold}`, { param: 'threshold' });
+    }
+    this.models[modelName] = { ...this.models[modelName], threshold };
+  }
+
+  /**
+   * Get the relevance threshold for a model
+   * @param {string} modelName - Model identifier
+   * @returns {number} Stored threshold, or 0.5
+   */
+  getThreshold(modelName) {
+    return this.models[modelName]?.threshold ?? DEFAULT_THRESHOLD;
+  }
+
+  /**
+   * Apply a model's calibration to an uncalibrated score
+   * @param {string} modelName - Model identifier
+   * @param {number} score - Uncalibrated score in (0, 1)
+   * @returns {number} Calibrated score, or the input if the model has no calibration
+   */
+  apply(modelName, score) {
+    return this.hasCalibration(modelName) ? this.applyLogit(modelName, toLogit(score)) : score;
+  }
+
+  /**
+   * Apply a model's calibration to an uncalibrated logit
+   * @param {string} modelName - Model identifier
+   * @param {number} z - Uncalibrated score on the logit scale
+   * @returns {number} Calibrated probability, or sigmoid(z) if the model has no calibration
+   */
+  applyLogit(modelName, z) {
+    const params = this.models[modelName];
+    if (!params?.method) {
+      return sigmoid(z);
+    }
+
+    return params.method === 'temperature'
+      ? sigmoid(z / params.temperature)
+      : sigmoid(params.a * z + params.b);
+  }
+
+  /**
+   * Load calibration from the JSON file, replacing what is in memory
+   */
+  load() {
+    if (!this.filePath) return;
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.models = data.models || {};
+    this.logger.debug(`[Calibration] Loaded ${Object.keys(this.models).length} model calibration(s) from ${this.filePath}`);
+  }
+
+  /**
+   * Write calibration for all models to the JSON file
+   */
+  save() {
+    if (!this.filePath) {
+      throw new RerankerError('No calibration file path configured.', { code: 'NOT_CONFIGURED' });
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ version: 1, models: this.models }, null, 2));
+    this.logger.info(`[Calibration] Saved calibration to ${this.filePath}`);
+  }
+}
+
+export { ScoreCalibrator };
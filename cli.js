@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { NativeEmbeddingReranker } from './reranker.js';
+import { LOG_LEVELS, createConsoleLogger } from './logger.js';
+
+/**
+ * ====================================================================
+ * RERANK CLI - Rerank JSONL/CSV retrieval dumps from the shell
+ * ====================================================================
+ *
+ * Reads queries and candidates from JSONL or CSV (files or stdin), reranks
+ * them with NativeEmbeddingReranker and writes ranked JSONL or a TREC run.
+ *
+ * Input rows (JSONL or CSV with a header) are either:
+ * - Grouped (JSONL only): {"query_id": "q1", "query": "...", "documents": ["...", {"doc_id": "d1", "text": "..."}]}
+ * - Flat: one candidate per row with query_id, query, doc_id, text
+ *   (rows are grouped by query_id, or by query text when there is no query_id)
+ *
+ * Usage:
+ *   node cli.js --input run.jsonl --model Xenova/ms-marco-MiniLM-L-6-v2 --top-k 10
+ *   cat candidates.csv | node cli.js --input-format csv --output-format trec > reranked.run
+ */
+
+const USAGE = `Usage: node cli.js [options]
+
+Options:
+  -i, --input <file>          Input file, or "-" for stdin (default: -)
+  -o, --output <file>         Output file, or "-" for stdout (default: -)
+      --input-format <fmt>    jsonl | csv (default: from the file extension, else jsonl)
+      --output-format <fmt>   jsonl | trec (default: jsonl)
+  -m, --model <name>          Model identifier (default: mixedbread-ai/mxbai-rerank-xsmall-v1)
+  -k, --top-k <n>             Results kept per query (default: all)
+  -b, --batch-size <n>        Query-document pairs per inference batch (default: the model's registry batch size)
+      --queries-per-call <n>  Queries reranked together in one call (default: 32)
+      --run-tag <tag>         Run tag written in TREC output (default: reranker)
+      --cache-dir <dir>       Model cache directory (default: ./models)
+      --offline               Never download; load only verified files from --cache-dir
+      --log-level <level>     debug | info | warn | error | silent (default: warn)
+  -h, --help                  Show this help`;
+
+// ====================================================================
+// INPUT PARSING
+// ====================================================================
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+ * @param {string} text - CSV content with a header row
+ * @returns {Array<Object>} One object per data row, keyed by header
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...data] = rows.filter(r => r.some(value => value !== ''));
+  return data.map(values => Object.fromEntries(header.map((name, i) => [name.trim(), values[i] ?? ''])));
+}
+
+/**
+ * Parse JSONL text into one object per non-empty line
+ * @param {string} text - JSONL content
+ * @returns {Array<Object>}
+ */
+function parseJsonl(text) {
+  return text.split(/\r?\n/).flatMap((line, i) => {
+    if (line.trim() === '') return [];
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${i + 1}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Group input rows into queries with their candidate documents
+ * @param {Array<Object>} rows - Grouped or flat rows (see module comment)
+ * @returns {Array<{queryId: string, query: string, documents: Array<Object>}>}
+ */
+function groupRows(rows) {
+  const groups = new Map();
+
+  rows.forEach((row, i) => {
+    if (typeof row.query !== 'string') {
+      throw new Error(`Row ${i + 1} has no "query" field`);
+    }
+
+    const key = row.query_id !== undefined ? String(row.query_id) : row.query;
+    if (!groups.has(key)) {
+      groups.set(key, { queryId: row.query_id !== undefined ? String(row.query_id) : String(groups.size + 1), query: row.query, documents: [] });
+    }
+    const group = groups.get(key);
+
+    if (Array.isArray(row.documents)) {
+      // Grouped row: documents are strings or objects with text
+      for (const doc of row.documents) {
+        group.documents.push(typeof doc === 'string' ? { text: doc } : doc);
+      }
+    } else {
+      // Flat row: one candidate per row; keep any extra columns
+      const { query, query_id: queryId, ...doc } = row;
+      group.documents.push(doc);
+    }
+  });
+
+  // Candidates without an id are numbered within their query
+  for (const group of groups.values()) {
+    group.documents.forEach((doc, i) => {
+      if (doc.doc_id === undefined) doc.doc_id = String(i);
+    });
+  }
+
+  return [...groups.values()];
+}
+
+// ====================================================================
+// OUTPUT FORMATTING
+// ====================================================================
+
+/**
+ * Format one query's ranked results
+ * @param {Object} group - Query group from groupRows()
+ * @param {Array<Object>} results - rerank() output for the group
+ * @param {string} format - 'jsonl' or 'trec'
+ * @param {string} runTag - Run tag for TREC output
+ * @returns {string} Output text, newline-terminated
+ */
+function formatResults(group, results, format, runTag) {
+  if (format === 'trec') {
+    // TREC run format: qid Q0 docid rank score tag
+    return results
+      .map((result, rank) => `${group.queryId} Q0 ${result.doc_id} ${rank + 1} ${result._rerank_score} ${runTag}\n`)
+      .join('');
+  }
+
+  return JSON.stringify({
+    query_id: group.queryId,
+    query: group.query,
+    results: results.map((result, rank) => {
+      const { _rerank_corpus_id, _rerank_score, ...doc } = result;
+      return { rank: rank + 1, score: _rerank_score, ...doc };
+    })
+  }) + '\n';
+}
+
+// ====================================================================
+// MAIN
+// ====================================================================
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Command-line arguments (without node and script path)
+ * @returns {Promise<void>}
+ */
+async function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      input: { type: 'string', short: 'i', default: '-' },
+      output: { type: 'string', short: 'o', default: '-' },
+      'input-format': { type: 'string' },
+      'output-format': { type: 'string', default: 'jsonl' },
+      model: { type: 'string', short: 'm', default: 'mixedbread-ai/mxbai-rerank-xsmall-v1' },
+      'top-k': { type: 'string', short: 'k' },
+      'batch-size': { type: 'string', short: 'b' },
+      'queries-per-call': { type: 'string', default: '32' },
+      'run-tag': { type: 'string', default: 'reranker' },
+      'cache-dir': { type: 'string' },
+      offline: { type: 'boolean', default: false },
+      'log-level': { type: 'string', default: 'warn' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const inputFormat = values['input-format']
+    || (path.extname(values.input).toLowerCase() === '.csv' ? 'csv' : 'jsonl');
+  const outputFormat = values['output-format'];
+  if (!['jsonl', 'csv'].includes(inputFormat)) throw new Error(`Unknown input format "${inputFormat}"`);
+  if (!['jsonl', 'trec'].includes(outputFormat)) throw new Error(`Unknown output format "${outputFormat}"`);
+  if (!Object.hasOwn(LOG_LEVELS, values['log-level'])) {
+    throw new Error(`Unknown log level "${values['log-level']}". Expected one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+  }
+
+  const topK = values['top-k'] ? Number(values['top-k']) : Infinity;
+  // Unset = the reranker's default for the model
+  const batchSize = values['batch-size'] !== undefined ? Number(values['batch-size']) : undefined;
+  const queriesPerCall = Number(values['queries-per-call']);
+  for (const [name, value] of [['top-k', topK], ['batch-size', batchSize], ['queries-per-call', queriesPerCall]]) {
+    if (value !== undefined && !(value > 0)) throw new Error(`--${name} must be a positive number`);
+  }
+
+  // Read and group the input
+  const text = fs.readFileSync(values.input === '-' ? 0 : values.input, 'utf8');
+  const groups = groupRows(inputFormat === 'csv' ? parseCsv(text) : parseJsonl(text));
+
+  // Logs go to stderr so stdout stays clean for pipelines
+  const logger = createConsoleLogger(values['log-level'], { stderr: true });
+
+  const reranker = new NativeEmbeddingReranker({
+    model: values.model,
+    cacheDir: values['cache-dir'] || null,
+    offline: values.offline,
+    logger
+  });
+
+  try {
+    await reranker.initialize();
+
+    const output = values.output === '-' ? process.stdout : fs.createWriteStream(values.output);
+
+    // Rerank several queries per call so their pairs share inference batches
+    for (let i = 0; i < groups.length; i += queriesPerCall) {
+      const chunk = groups.slice(i, i + queriesPerCall);
+      const ranked = await reranker.rerankMany(
+        chunk.map(group => group.query),
+        chunk.map(group => group.documents),
+        { topK, batchSize }
+      );
+
+      chunk.forEach((group, j) => {
+        output.write(formatResults(group, ranked[j], outputFormat, values['run-tag']));
+      });
+      logger.info(`Reranked ${Math.min(i + queriesPerCall, groups.length)}/${groups.length} queries`);
+    }
+
+    if (output !== process.stdout) {
+      await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+    }
+  } finally {
+    // Release the model, also after a failed load, so main() can be called from other code
+    await reranker.dispose();
+  }
+}
+
+export { parseCsv, parseJsonl, groupRows, formatResults, main };
+
+// Command-line interface - only run if this file is called directly.
+// argv[1] is the npm bin symlink when installed as `rerank`, so compare real paths.
+const __filename = fileURLToPath(import.meta.url);
+const isMainModule = process.argv[1] !== undefined && fs.realpathSync(process.argv[1]) === __filename;
+
+if (isMainModule) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error(`[ERROR] ${err.message}`);
+    console.error('Run "node cli.js --help" for usage.');
+    process.exit(1);
+  });
+}
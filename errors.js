@@ -0,0 +1,141 @@
+/**
+ * ====================================================================
+ * ERRORS MODULE - Typed reranker errors with machine-readable codes
+ * ====================================================================
+ *
+ * Every error thrown by the reranker extends RerankerError and carries a
+ * stable `code`, so callers can branch on the kind of failure (for example
+ * to pick an HTTP status) without matching on messages.
+ *
+ * Codes:
+ * - INVALID_INPUT          InvalidInputError: bad query, documents or options
+ * - MODEL_NOT_INITIALIZED  ModelNotInitializedError: used before initialize()
+ * - MODEL_LOAD_FAILED      ModelLoadError: model or tokenizer could not be loaded
+ * - INFERENCE_FAILED       InferenceError: tokenization or model execution failed
+ * - ABORTED / TIMEOUT      AbortError: cancelled through a signal or past its deadline
+ * - NOT_CONFIGURED         RerankerError: an optional feature (calibration, file path) is not set up
+ *
+ * Usage:
+ *   import { InvalidInputError } from './reranker.js';
+ *   try { await reranker.rerank(query, docs); }
+ *   catch (error) { if (error.code === 'INVALID_INPUT') ... }
+ */
+
+// ====================================================================
+// ERROR CLASSES
+// ====================================================================
+
+/**
+ * Base class of all reranker errors
+ */
+class RerankerError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options={}]
+   * @param {string} [options.code='RERANKER_ERROR'] - Machine-readable error code
+   * @param {Error} [options.cause] - Underlying error, if any
+   */
+  constructor(message, { code = 'RERANKER_ERROR', cause = undefined } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = 'RerankerError';
+    this.code = code;
+  }
+}
+
+/**
+ * Thrown when a query, document list or option fails validation, before any inference runs
+ */
+class InvalidInputError extends RerankerError {
+  /**
+   * @param {string} message - What is wrong with the input
+   * @param {Object} [options={}]
+   * @param {string|null} [options.param=null] - Name of the offending argument or option (e.g. 'topK')
+   */
+  constructor(message, { param = null } = {}) {
+    super(message, { code: 'INVALID_INPUT' });
+    this.name = 'InvalidInputError';
+    this.param = param;
+  }
+}
+
+/**
+ * Thrown when a model is used before initialize() has loaded it
+ */
+class ModelNotInitializedError extends RerankerError {
+  /**
+   * @param {string} modelName - Model identifier
+   */
+  constructor(modelName) {
+    super(`Model "${modelName}" not initialized. Call initialize() first.`, { code: 'MODEL_NOT_INITIALIZED' });
+    this.name = 'ModelNotInitializedError';
+    this.modelName = modelName;
+  }
+}
+
+/**
+ * Thrown when a model or its tokenizer cannot be loaded (download, cache, ONNX or offline integrity problems)
+ */
+class ModelLoadError extends RerankerError {
+  /**
+   * @param {string} modelName - Model identifier
+   * @param {Error|string} cause - Underlying error, or its message
+   * @param {Object} [options={}]
+   * @param {string|null} [options.file=null] - Model file that is missing or corrupt, relative to the model folder
+   */
+  constructor(modelName, cause, { file = null } = {}) {
+    const message = cause instanceof Error ? cause.message : String(cause);
+    super(`Failed to load model "${modelName}": ${message}`, {
+      code: 'MODEL_LOAD_FAILED',
+      cause: cause instanceof Error ? cause : undefined
+    });
+    this.name = 'ModelLoadError';
+    this.modelName = modelName;
+    this.file = file;
+  }
+}
+
+/**
+ * Thrown when tokenization or model execution fails for a batch
+ */
+class InferenceError extends RerankerError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options={}]
+   * @param {string|null} [options.modelName=null] - Model identifier
+   * @param {Error} [options.cause] - Underlying error, if any
+   */
+  constructor(message, { modelName = null, cause = undefined } = {}) {
+    super(message, { code: 'INFERENCE_FAILED', cause });
+    this.name = 'InferenceError';
+    this.modelName = modelName;
+  }
+}
+
+/**
+ * Thrown when a rerank call is cancelled through its AbortSignal or runs past its timeoutMs.
+ * Carries the best results computed before the abort in `partialResults`.
+ */
+class AbortError extends RerankerError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options={}]
+   * @param {boolean} [options.timedOut=false] - true if the deadline passed, false if the signal fired
+   * @param {*} [options.reason] - The AbortSignal's reason, if any
+   */
+  constructor(message, { timedOut = false, reason = undefined } = {}) {
+    super(message, { code: timedOut ? 'TIMEOUT' : 'ABORTED' });
+    this.name = 'AbortError';
+    this.timedOut = timedOut;
+    this.reason = reason;
+    this.partialResults = null; // Filled in by the rerank method that was aborted
+  }
+}
+
+export {
+  RerankerError,
+  InvalidInputError,
+  ModelNotInitializedError,
+  ModelLoadError,
+  InferenceError,
+  AbortError
+};
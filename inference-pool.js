@@ -0,0 +1,259 @@
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { createConsoleLogger } from './logger.js';
+import { InvalidInputError, ModelLoadError, InferenceError } from './errors.js';
+
+/**
+ * ====================================================================
+ * INFERENCE POOL MODULE - Worker-thread model inference
+ * ====================================================================
+ *
+ * Model inference normally runs on the main event loop, so a large rerank
+ * stalls everything else in the process and uses a single core. This
+ * module runs inference on a pool of worker threads, each holding its own
+ * copy of the model. Batches are queued and handed to the next idle worker.
+ *
+ * Features:
+ * - Configurable pool size (defaults to the number of cores minus one)
+ * - Warm start: load the model in every worker up front
+ * - Graceful shutdown: finish queued batches before terminating
+ * - Crashed workers are replaced automatically
+ *
+ * Usage:
+ *   import { InferencePool } from './inference-pool.js';
+ *   const pool = new InferencePool({ modelName: 'Xenova/ms-marco-MiniLM-L-6-v2', size: 4 });
+ *   await pool.start();
+ *   const logits = await pool.run([[query, passage], ...]);
+ *   await pool.close();
+ */
+
+const WORKER_SCRIPT = new URL('./inference-worker.js', import.meta.url);
+
+// ====================================================================
+// INFERENCE POOL CLASS
+// ====================================================================
+
+/**
+ * Pool of worker threads that return raw logits for query-passage pairs
+ */
+class InferencePool {
+  #workers = [];
+  #queue = [];
+  #nextTaskId = 1;
+  #startPromise = null;
+  #closing = false;
+
+  /**
+   * @param {Object} options
+   * @param {string} options.modelName - Model identifier loaded by every worker
+   * @param {string|null} [options.cacheDir=null] - Model cache directory passed to the workers
+   * @param {boolean|Object} [options.offline=false] - Strict offline options passed to each worker's ModelLoader
+   * @param {Object|null} [options.modelConfig=null] - Resolved settings from ModelLoader.getWorkerConfig()
+   *   (null = each worker resolves the model from its own registry)
+   * @param {number|null} [options.size=null] - Number of workers (null = available cores - 1, at least 1)
+   * @param {Object|null} [options.logger=null] - Logger with debug, info, warn, error methods
+   * @param {string|URL} [options.workerScript] - Worker entry point speaking the protocol of inference-worker.js
+   *   (default: inference-worker.js)
+   */
+  constructor({ modelName, cacheDir = null, offline = false, modelConfig = null, size = null, logger = null, workerScript = WORKER_SCRIPT }) {
+    if (!modelName) throw new InvalidInputError('A model name must be provided.', { param: 'modelName' });
+
+    const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    this.size = size ?? Math.max(1, cores - 1);
+    if (!Number.isInteger(this.size) || this.size <= 0) {
+      throw new InvalidInputError(`Inference pool size must be a positive integer, got ${size}`, { param: 'workers' });
+    }
+
+    this.modelName = modelName;
+    this.cacheDir = cacheDir;
+    this.offline = offline;
+    this.modelConfig = modelConfig;
+    this.workerScript = workerScript;
+    this.completed = 0;
+    this.logger = logger || createConsoleLogger();
+  }
+
+  /**
+   * Spawn the workers and wait until every one has loaded the model.
+   * Safe to call more than once; later calls wait for the first.
+   * If a worker fails to load, every spawned worker is terminated and a later
+   * call starts from scratch.
+   * @returns {Promise<void>}
+   * @throws {ModelLoadError} If a worker fails to load the model
+   */
+  start() {
+    if (!this.#startPromise) {
+      this.logger.info(`[InferencePool] Starting ${this.size} workers for model "${this.modelName}"`);
+      for (let i = 0; i < this.size; i++) {
+        this.#workers.push(this.#spawn());
+      }
+
+      this.#startPromise = Promise.all(this.#workers.map(slot => slot.ready)).then(() => {
+        this.logger.info(`[InferencePool] ${this.size} workers ready`);
+      }, async (error) => {
+        // Tear the half-started pool down so the next start() can retry
+        const workers = this.#workers.splice(0);
+        await Promise.all(workers.map(slot => slot.worker.terminate()));
+        this.#startPromise = null;
+        throw error;
+      });
+    }
+    return this.#startPromise;
+  }
+
+  /**
+   * Create one worker slot and wire up its lifecycle
+   * @returns {Object} Worker slot
+   */
+  #spawn() {
+    const worker = new Worker(this.workerScript, {
+      workerData: { modelName: this.modelName, cacheDir: this.cacheDir, offline: this.offline, modelConfig: this.modelConfig }
+    });
+    const slot = { worker, task: null, isReady: false, ready: null };
+
+    slot.ready = new Promise((resolve, reject) => {
+      worker.once('message', (message) => {
+        if (message.type === 'ready') {
+          slot.isReady = true;
+          resolve();
+          this.#dispatch();
+        } else {
+          reject(new ModelLoadError(this.modelName, `in inference worker: ${message.message}`));
+        }
+      });
+      worker.once('error', (error) => reject(new ModelLoadError(this.modelName, error)));
+      // Without this, a worker that dies quietly before 'ready' would leave start() waiting forever
+      worker.once('exit', (code) => reject(new ModelLoadError(this.modelName, `inference worker exited with code ${code} before loading the model`)));
+    });
+    // Startup failures are reported through start(); avoid unhandled rejections for replacements
+    slot.ready.catch(() => {});
+
+    worker.on('message', (message) => {
+      if (message.type !== 'result' || !slot.task) return;
+
+      const { resolve, reject } = slot.task;
+      slot.task = null;
+      this.completed++;
+      if (message.error) {
+        reject(new InferenceError(message.error, { modelName: this.modelName }));
+      } else {
+        resolve(message.logits);
+      }
+      this.#dispatch();
+    });
+
+    worker.on('error', (error) => {
+      this.logger.error(`[InferencePool] Worker crashed: ${error.message}`);
+      slot.task?.reject(new InferenceError(`Inference worker crashed: ${error.message}`, { modelName: this.modelName, cause: error }));
+      slot.task = null;
+    });
+
+    worker.on('exit', () => {
+      const index = this.#workers.indexOf(slot);
+      if (index === -1) return;
+
+      this.#workers.splice(index, 1);
+      slot.task?.reject(new InferenceError('Inference worker exited unexpectedly', { modelName: this.modelName }));
+      slot.task = null;
+
+      // Keep the pool at full size unless it is shutting down
+      if (!this.#closing && slot.isReady) {
+        this.logger.warn('[InferencePool] Replacing exited worker');
+        this.#workers.push(this.#spawn());
+      }
+    });
+
+    return slot;
+  }
+
+  /**
+   * Hand queued batches to idle, ready workers
+   */
+  #dispatch() {
+    for (const slot of this.#workers) {
+      if (this.#queue.length === 0) return;
+      if (!slot.isReady || slot.task) continue;
+
+      const task = this.#queue.shift();
+      slot.task = task;
+      slot.worker.postMessage({ type: 'run', id: task.id, pairs: task.pairs });
+    }
+  }
+
+  /**
+   * Queue a batch of pairs for inference on the next idle worker.
+   * Starts the pool if start() has not been called yet.
+   * @param {Array<Array<string>>} queryPassagePairs - Array of [query, passage] pairs
+   * @returns {Promise<Array<Array<number>>>} Raw logits, one row per pair
+   */
+  async run(queryPassagePairs) {
+    if (this.#closing) {
+      throw new InferenceError('Inference pool is shutting down', { modelName: this.modelName });
+    }
+
+    await this.start();
+
+    return new Promise((resolve, reject) => {
+      this.#queue.push({ id: this.#nextTaskId++, pairs: queryPassagePairs, resolve, reject });
+      this.#dispatch();
+    });
+  }
+
+  /**
+   * Get pool statistics
+   * @returns {{size: number, workers: number, busy: number, queued: number, completed: number}}
+   */
+  getStats() {
+    return {
+      size: this.size,
+      workers: this.#workers.length,
+      busy: this.#workers.filter(slot => slot.task).length,
+      queued: this.#queue.length,
+      completed: this.completed
+    };
+  }
+
+  /**
+   * Shut the pool down.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.graceful=true] - Finish queued and running batches first
+   * @param {number} [options.timeoutMs=30000] - Max time to wait for a graceful drain before terminating
+   * @returns {Promise<void>}
+   */
+  async close({ graceful = true, timeoutMs = 30000 } = {}) {
+    if (this.#closing) return;
+    this.#closing = true;
+
+    if (graceful) {
+      const drained = new Promise((resolve) => {
+        const check = () => {
+          const busy = this.#workers.some(slot => slot.task);
+          if (this.#queue.length === 0 && !busy) return resolve(true);
+          setTimeout(check, 10);
+        };
+        check();
+      });
+      const timedOut = new Promise((resolve) => setTimeout(() => resolve(false), timeoutMs).unref());
+
+      if (!(await Promise.race([drained, timedOut]))) {
+        this.logger.warn(`[InferencePool] Graceful shutdown timed out after ${timeoutMs}ms`);
+      }
+    }
+
+    // Anything still queued will never run
+    for (const task of this.#queue.splice(0)) {
+      task.reject(new InferenceError('Inference pool was shut down', { modelName: this.modelName }));
+    }
+
+    const workers = this.#workers.splice(0);
+    await Promise.all(workers.map(slot => {
+      slot.task?.reject(new InferenceError('Inference pool was shut down', { modelName: this.modelName }));
+      slot.task = null;
+      return slot.worker.terminate();
+    }));
+
+    this.logger.info(`[InferencePool] Shut down ${workers.length} workers`);
+  }
+}
+
+export { InferencePool };
@@ -0,0 +1,49 @@
+import { parentPort, workerData } from 'worker_threads';
+import { ModelLoader } from './reranker.js';
+
+/**
+ * ====================================================================
+ * INFERENCE WORKER - Worker thread entry point for InferencePool
+ * ====================================================================
+ *
+ * Loads its own copy of the model, then answers 'run' messages with the
+ * raw logits for each batch of [query, passage] pairs. Scoring (heads,
+ * calibration, caching) stays on the main thread.
+ *
+ * Messages:
+ *   worker → main: { type: 'ready' } | { type: 'init-error', message }
+ *   main → worker: { type: 'run', id, pairs }
+ *   worker → main: { type: 'result', id, logits } | { type: 'result', id, error }
+ */
+
+// modelConfig carries the main thread's resolved variant and token limit, so models registered
+// there at runtime load the same way here
+const { modelName, cacheDir, offline = false, modelConfig = null } = workerData;
+
+// Only problems are worth reporting from a worker; the pool logs the lifecycle
+const logger = {
+  debug: () => {},
+  info: () => {},
+  warn: (msg) => console.warn(`[WARN] [worker] ${msg}`),
+  error: (msg) => console.error(`[ERROR] [worker] ${msg}`)
+};
+
+const loader = new ModelLoader({ modelName, cacheDir, offline, modelConfig, logger });
+
+try {
+  await loader.initialize();
+  parentPort.postMessage({ type: 'ready' });
+} catch (error) {
+  parentPort.postMessage({ type: 'init-error', message: error.message });
+}
+
+parentPort.on('message', async ({ type, id, pairs }) => {
+  if (type !== 'run') return;
+
+  try {
+    const logits = await loader.getLogits(pairs);
+    parentPort.postMessage({ type: 'result', id, logits });
+  } catch (error) {
+    parentPort.postMessage({ type: 'result', id, error: error.message });
+  }
+});
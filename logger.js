@@ -0,0 +1,38 @@
+/**
+ * ====================================================================
+ * LOGGER MODULE - Default console logger shared by the reranker modules
+ * ====================================================================
+ *
+ * ModelLoader, ScoreCalibrator, ScoreCache and InferencePool accept any
+ * logger with debug, info, warn and error methods (Winston, Pino, ...).
+ * When none is given they fall back to this console logger.
+ *
+ * Usage:
+ *   import { createConsoleLogger } from './logger.js';
+ *   const logger = createConsoleLogger('warn'); // warnings and errors only
+ *   const cliLogger = createConsoleLogger('info', { stderr: true }); // for tools that write results to stdout
+ */
+
+// Lowest level that is printed, per log level name
+const LOG_LEVELS = { debug: 1, info: 2, warn: 3, error: 4, silent: 5 };
+
+/**
+ * Create a console logger that prints messages at or above a log level
+ * @param {string} [level='debug'] - 'debug', 'info', 'warn', 'error' or 'silent' (unknown names mean 'info')
+ * @param {Object} [options={}]
+ * @param {boolean} [options.stderr=false] - Print every level to stderr, keeping stdout free for program output
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+ */
+function createConsoleLogger(level = 'debug', { stderr = false } = {}) {
+  const currentLevel = LOG_LEVELS[level] || LOG_LEVELS.info;
+  const print = (method, text) => (stderr ? console.error(text) : console[method](text));
+
+  return {
+    debug: (message) => currentLevel <= 1 && print('debug', `[DEBUG] ${message}`),
+    info:  (message) => currentLevel <= 2 && print('info', `[INFO] ${message}`),
+    warn:  (message) => currentLevel <= 3 && print('warn', `[WARN] ${message}`),
+    error: (message) => currentLevel <= 4 && print('error', `[ERROR] ${message}`)
+  };
+}
+
+export { LOG_LEVELS, createConsoleLogger };
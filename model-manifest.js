@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { InvalidInputError, ModelLoadError } from './errors.js';
+
+/**
+ * ====================================================================
+ * MODEL MANIFEST MODULE - Offline model file checks and SHA-256 manifests
+ * ====================================================================
+ *
+ * Strict offline mode must never reach the network, so before a model is
+ * loaded this module checks that every file it needs is present in the
+ * local model folder and, when a manifest is available, that each file
+ * still has the size and SHA-256 checksum recorded when the folder was
+ * packaged. Failures name the missing or corrupt file.
+ *
+ * Manifest (manifest.json in the model folder):
+ *   { "version": 1, "model": "Xenova/ms-marco-MiniLM-L-6-v2", "createdAt": "...",
+ *     "files": { "config.json": { "size": 612, "sha256": "..." }, ... } }
+ *
+ * Usage:
+ *   node model-manifest.js build ./models/Xenova/ms-marco-MiniLM-L-6-v2
+ *   node model-manifest.js verify --model Xenova/ms-marco-MiniLM-L-6-v2 --cache-dir ./models
+ *
+ *   import { verifyModelFiles } from './model-manifest.js';
+ *   await verifyModelFiles('./models/Xenova/ms-marco-MiniLM-L-6-v2', { requireManifest: true });
+ */
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+const USAGE = `Usage: node model-manifest.js <build|verify> [model-dir] [options]
+
+Commands:
+  build                   Hash every file in the model folder and write ${MANIFEST_FILE}
+  verify                  Check required files and checksums against ${MANIFEST_FILE}
+
+Options:
+  -m, --model <name>      Model identifier, used to locate the folder under --cache-dir
+      --cache-dir <dir>   Model cache directory (default: ./models)
+      --manifest <file>   Manifest path (default: <model-dir>/${MANIFEST_FILE})
+  -h, --help              Show this help`;
+
+// ====================================================================
+// FILE HELPERS
+// ====================================================================
+
+/**
+ * Files a cross-encoder needs on disk before it can be loaded without the network
+ * @param {Object} [options={}]
+ * @param {string} [options.onnxFile='onnx/model_quantized.onnx'] - ONNX weights that will be loaded
+ * @returns {string[]} Paths relative to the model folder
+ */
+function requiredModelFiles({ onnxFile = 'onnx/model_quantized.onnx' } = {}) {
+  return [
+    'config.json',
+    'tokenizer.json',
+    'tokenizer_config.json',
+    onnxFile
+  ];
+}
+
+/**
+ * Folder holding a model's files inside a cache directory (same layout as Transformers.js)
+ * @param {string} cacheDir - Model cache directory
+ * @param {string} modelName - Model identifier, e.g. 'Xenova/ms-marco-MiniLM-L-6-v2'
+ * @returns {string} Absolute folder path
+ */
+function getModelDir(cacheDir, modelName) {
+  return path.resolve(cacheDir, ...modelName.split('/'));
+}
+
+/**
+ * List every file below a folder, recursively
+ * @param {string} dir - Folder to walk
+ * @param {string} [prefix=''] - Relative path of `dir` inside the walk root
+ * @returns {string[]} Relative, '/'-separated paths in sorted order
+ */
+function listFiles(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+    .flatMap(entry => {
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) return listFiles(path.join(dir, entry.name), relative);
+      return entry.isFile() ? [relative] : [];
+    });
+}
+
+/**
+ * Compute a file's SHA-256 checksum without reading it into memory at once
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// ====================================================================
+// MANIFEST BUILD AND VERIFY
+// ====================================================================
+
+/**
+ * Hash every file in a model folder and write the manifest next to them
+ * @param {string} modelDir - Model folder, e.g. './models/Xenova/ms-marco-MiniLM-L-6-v2'
+ * @param {Object} [options={}]
+ * @param {string|null} [options.modelName=null] - Model identifier stored in the manifest (default: last two path segments)
+ * @param {string|null} [options.manifestPath=null] - Where to write the manifest (default: <modelDir>/manifest.json)
+ * @returns {Promise<Object>} The manifest that was written
+ * @throws {InvalidInputError} If the folder does not exist
+ *
+ * @example
+ * const manifest = await buildManifest('./models/Xenova/ms-marco-MiniLM-L-6-v2');
+ * Object.keys(manifest.files); // ['config.json', 'onnx/model_quantized.onnx', ...]
+ */
+async function buildManifest(modelDir, { modelName = null, manifestPath = null } = {}) {
+  const dir = path.resolve(modelDir);
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new InvalidInputError(`Model folder not found: ${dir}`, { param: 'modelDir' });
+  }
+  const target = path.resolve(manifestPath || path.join(dir, MANIFEST_FILE));
+
+  const files = {};
+  for (const file of listFiles(dir)) {
+    const filePath = path.join(dir, file);
+    if (filePath === target) continue; // The manifest does not describe itself
+    files[file] = { size: fs.statSync(filePath).size, sha256: await hashFile(filePath) };
+  }
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    model: modelName || dir.split(path.sep).slice(-2).join('/'),
+    createdAt: new Date().toISOString(),
+    files
+  };
+  fs.writeFileSync(target, JSON.stringify(manifest, null, 2) + '\n');
+  return manifest;
+}
+
+/**
+ * Read and sanity-check a manifest file
+ * @param {string} manifestPath - Manifest to read
+ * @param {string} modelName - Model identifier, for error messages
+ * @returns {Object} Parsed manifest
+ * @throws {ModelLoadError} If the manifest is not valid JSON or has no file list
+ */
+function readManifest(manifestPath, modelName) {
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new ModelLoadError(modelName, `Manifest ${manifestPath} could not be read: ${error.message}`, { file: MANIFEST_FILE });
+  }
+  if (!manifest || typeof manifest.files !== 'object' || manifest.files === null) {
+    throw new ModelLoadError(modelName, `Manifest ${manifestPath} has no "files" entry`, { file: MANIFEST_FILE });
+  }
+  return manifest;
+}
+
+/**
+ * Check that a model folder holds every required file and that each file matches the manifest.
+ *
+ * Required files are checked first, so a missing file is reported before any hashing.
+ * With a manifest, every required file must be listed in it and every listed file must
+ * exist with the recorded size and SHA-256 checksum.
+ *
+ * @param {string} modelDir - Model folder
+ * @param {Object} [options={}]
+ * @param {string|null} [options.modelName=null] - Model identifier, for error messages (default: the folder path)
+ * @param {string[]} [options.requiredFiles=requiredModelFiles()] - Files that must exist, relative to modelDir
+ * @param {string|null} [options.manifestPath=null] - Manifest to verify against (default: <modelDir>/manifest.json)
+ * @param {boolean} [options.requireManifest=false] - Fail when there is no manifest instead of only checking presence
+ * @param {boolean} [options.verifyChecksums=true] - Hash files against the manifest (false checks sizes only)
+ * @returns {Promise<{modelDir: string, files: string[], manifest: string|null}>} What was checked
+ * @throws {ModelLoadError} Naming the first missing or corrupt file in `error.file`
+ *
+ * @example
+ * try {
+ *   await verifyModelFiles('./models/Xenova/ms-marco-MiniLM-L-6-v2', { requireManifest: true });
+ * } catch (error) {
+ *   console.error(error.file, error.message);
+ * }
+ */
+async function verifyModelFiles(modelDir, {
+  modelName = null,
+  requiredFiles = requiredModelFiles(),
+  manifestPath = null,
+  requireManifest = false,
+  verifyChecksums = true
+} = {}) {
+  const dir = path.resolve(modelDir);
+  const name = modelName || dir;
+
+  for (const file of requiredFiles) {
+    const filePath = path.join(dir, file);
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      throw new ModelLoadError(name, `Missing required file "${file}" (expected at ${filePath})`, { file });
+    }
+  }
+
+  const resolvedManifest = path.resolve(manifestPath || path.join(dir, MANIFEST_FILE));
+  if (!fs.existsSync(resolvedManifest)) {
+    if (requireManifest) {
+      throw new ModelLoadError(name, `Missing manifest (expected at ${resolvedManifest}). Create it with "node model-manifest.js build ${dir}"`, { file: MANIFEST_FILE });
+    }
+    return { modelDir: dir, files: [...requiredFiles], manifest: null };
+  }
+
+  const manifest = readManifest(resolvedManifest, name);
+  for (const file of requiredFiles) {
+    if (!manifest.files[file]) {
+      throw new ModelLoadError(name, `Required file "${file}" is not listed in manifest ${resolvedManifest}`, { file });
+    }
+  }
+
+  for (const [file, { size, sha256 }] of Object.entries(manifest.files)) {
+    const filePath = path.join(dir, file);
+    if (!fs.existsSync(filePath)) {
+      throw new ModelLoadError(name, `Missing file "${file}" listed in manifest (expected at ${filePath})`, { file });
+    }
+    const actualSize = fs.statSync(filePath).size;
+    if (size !== undefined && actualSize !== size) {
+      throw new ModelLoadError(name, `Corrupt file "${file}": expected ${size} bytes, found ${actualSize}`, { file });
+    }
+    if (verifyChecksums && sha256) {
+      const actual = await hashFile(filePath);
+      if (actual !== sha256) {
+        throw new ModelLoadError(name, `Corrupt file "${file}": SHA-256 ${actual} does not match manifest ${sha256}`, { file });
+      }
+    }
+  }
+
+  return { modelDir: dir, files: Object.keys(manifest.files), manifest: resolvedManifest };
+}
+
+// ====================================================================
+// MAIN
+// ====================================================================
+
+/**
+ * Run the manifest CLI
+ * @param {string[]} argv - Command-line arguments (without node and script path)
+ * @returns {Promise<void>}
+ */
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      model: { type: 'string', short: 'm' },
+      'cache-dir': { type: 'string', default: 'models' },
+      manifest: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const [command, folder] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!['build', 'verify'].includes(command)) throw new Error(`Unknown command "${command}"`);
+  if (!folder && !values.model) throw new Error('Give a model folder or --model');
+
+  const modelDir = folder || getModelDir(values['cache-dir'], values.model);
+  const modelName = values.model || null;
+
+  if (command === 'build') {
+    const manifest = await buildManifest(modelDir, { modelName, manifestPath: values.manifest || null });
+    console.log(`[INFO] Wrote manifest for "${manifest.model}" with ${Object.keys(manifest.files).length} files`);
+  } else {
+    const { files } = await verifyModelFiles(modelDir, { modelName, manifestPath: values.manifest || null, requireManifest: true });
+    console.log(`[INFO] ${files.length} files verified in ${path.resolve(modelDir)}`);
+  }
+}
+
+export { MANIFEST_FILE, requiredModelFiles, getModelDir, hashFile, buildManifest, verifyModelFiles, main };
+
+// Command-line interface - only run if this file is called directly
+const __filename = fileURLToPath(import.meta.url);
+const isMainModule = process.argv[1] === __filename;
+
+if (isMainModule) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  });
+}
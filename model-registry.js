@@ -0,0 +1,296 @@
+import { InvalidInputError } from './errors.js';
+
+/**
+ * ====================================================================
+ * MODEL REGISTRY MODULE - Per-model metadata and ONNX variant selection
+ * ====================================================================
+ *
+ * Describes each supported reranker in one place: how long an input it
+ * accepts, how its logits become a score, a batch size that suits it, its
+ * input template and which ONNX files hold its quantized and full-precision
+ * weights. ModelLoader and NativeEmbeddingReranker read their defaults from
+ * here; explicit constructor and call options still win.
+ *
+ * Entry fields:
+ * - description:       Short human-readable summary
+ * - maxSequenceLength: Token limit for one query-passage pair (null = from the tokenizer/config)
+ * - scoreHead:         Score head name or spec (see ModelLoader.registerScoreHead())
+ * - batchSize:         Recommended pairs per inference batch
+ * - inputTemplate:     Input template or null (see ModelLoader.registerInputTemplate())
+ * - quantized:         Load the quantized weights by default
+ * - files:             { quantized, full } ONNX paths relative to the model folder
+ *
+ * Aliases map a stable name such as 'production' to a concrete model; rerankers
+ * constructed with the alias load whatever model it points to at that time.
+ *
+ * Usage:
+ *   import { ModelRegistry } from './model-registry.js';
+ *   ModelRegistry.register('BAAI/bge-reranker-base', { maxSequenceLength: 512, batchSize: 16 });
+ *   ModelRegistry.get('Xenova/ms-marco-MiniLM-L-6-v2').batchSize; // 128
+ *   ModelRegistry.setAlias('production', 'Xenova/ms-marco-MiniLM-L-6-v2');
+ */
+
+const DEFAULT_FILES = Object.freeze({ quantized: 'onnx/model_quantized.onnx', full: 'onnx/model.onnx' });
+
+// Metadata for the models this repo ships with and benchmarks
+const BUILTIN_MODELS = {
+  'mixedbread-ai/mxbai-rerank-xsmall-v1': {
+    description: 'Higher confidence scores, slower',
+    maxSequenceLength: 512,
+    scoreHead: 'auto',
+    batchSize: 32,
+    inputTemplate: null,
+    quantized: true,
+    files: DEFAULT_FILES
+  },
+  'Xenova/ms-marco-MiniLM-L-6-v2': {
+    description: 'Fast, general-purpose reranking',
+    maxSequenceLength: 512,
+    scoreHead: 'sigmoid',
+    batchSize: 128,
+    inputTemplate: null,
+    quantized: true,
+    files: DEFAULT_FILES
+  }
+};
+
+// ====================================================================
+// VALIDATION HELPERS
+// ====================================================================
+
+/**
+ * Check an ONNX file path and split it into the name Transformers.js expects
+ * @param {string} file - Path relative to the model folder, e.g. 'onnx/model_fp16.onnx'
+ * @param {string} param - Option name for error messages
+ * @returns {{file: string, modelFileName: string}} Normalized path and file name without folder or extension
+ */
+function parseOnnxFile(file, param) {
+  const normalized = typeof file === 'string' && !file.includes('/') ? `onnx/${file}` : file;
+  const match = typeof normalized === 'string' ? /^onnx\/([^/]+)\.onnx$/.exec(normalized) : null;
+  if (!match) {
+    throw new InvalidInputError(`${param} must name an .onnx file in the model's onnx/ folder, got ${JSON.stringify(file)}`, { param });
+  }
+  return { file: normalized, modelFileName: match[1] };
+}
+
+/**
+ * Validate registry metadata and fill in defaults
+ * @param {string} modelName - Model identifier
+ * @param {Object} metadata - Partial entry (see module comment)
+ * @returns {Object} Complete, frozen entry
+ */
+function normalizeEntry(modelName, metadata) {
+  if (typeof modelName !== 'string' || modelName.trim() === '') {
+    throw new InvalidInputError('A model name must be provided.', { param: 'modelName' });
+  }
+  if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new InvalidInputError(`Metadata for "${modelName}" must be an object`, { param: 'metadata' });
+  }
+
+  const {
+    description = '',
+    maxSequenceLength = null,
+    scoreHead = 'auto',
+    batchSize = 128,
+    inputTemplate = null,
+    quantized = true,
+    files = {}
+  } = metadata;
+
+  if (maxSequenceLength !== null && (!Number.isInteger(maxSequenceLength) || maxSequenceLength <= 0)) {
+    throw new InvalidInputError(`maxSequenceLength must be a positive integer or null, got ${maxSequenceLength}`, { param: 'maxSequenceLength' });
+  }
+  if (!Number.isInteger(batchSize) || batchSize <= 0) {
+    throw new InvalidInputError(`batchSize must be a positive integer, got ${batchSize}`, { param: 'batchSize' });
+  }
+  if (typeof quantized !== 'boolean') {
+    throw new InvalidInputError(`quantized must be a boolean, got ${quantized}`, { param: 'quantized' });
+  }
+  if (!['string', 'function', 'object'].includes(typeof scoreHead) || scoreHead === null) {
+    throw new InvalidInputError('scoreHead must be a head name, a function or a { head, labelIndex } object', { param: 'scoreHead' });
+  }
+  if (inputTemplate !== null && !['function', 'object'].includes(typeof inputTemplate)) {
+    throw new InvalidInputError('inputTemplate must be a function, an object or null', { param: 'inputTemplate' });
+  }
+
+  const { quantized: quantizedFile = DEFAULT_FILES.quantized, full: fullFile = DEFAULT_FILES.full } = files ?? {};
+  return Object.freeze({
+    name: modelName,
+    description,
+    maxSequenceLength,
+    scoreHead,
+    batchSize,
+    inputTemplate,
+    quantized,
+    files: Object.freeze({
+      quantized: parseOnnxFile(quantizedFile, 'files.quantized').file,
+      full: parseOnnxFile(fullFile, 'files.full').file
+    })
+  });
+}
+
+// ====================================================================
+// MODEL REGISTRY CLASS
+// ====================================================================
+
+/**
+ * Registry of reranker model metadata, keyed by model name
+ */
+class ModelRegistry {
+  static #entries = new Map(Object.entries(BUILTIN_MODELS).map(([name, metadata]) => [name, normalizeEntry(name, metadata)]));
+  // Alias name → concrete model name (see setAlias)
+  static #aliases = new Map();
+
+  /**
+   * Register (or replace) a model's metadata. Affects rerankers constructed afterwards.
+   * @param {string} modelName - Model identifier
+   * @param {Object} metadata - Entry fields (see module comment); missing fields take the defaults
+   * @returns {Object} The stored entry
+   * @throws {InvalidInputError} If a field is invalid or the name is in use as an alias
+   *
+   * @example
+   * ModelRegistry.register('my-org/my-reranker', {
+   *   description: 'Domain-tuned cross-encoder',
+   *   maxSequenceLength: 256,
+   *   scoreHead: 'raw-logit',
+   *   batchSize: 64,
+   *   inputTemplate: { query: 'query: {query}' },
+   *   files: { quantized: 'onnx/model_int8.onnx', full: 'onnx/model.onnx' }
+   * });
+   */
+  static register(modelName, metadata = {}) {
+    if (ModelRegistry.#aliases.has(modelName)) {
+      throw new InvalidInputError(`"${modelName}" is an alias; remove it before registering a model under that name`, { param: 'modelName' });
+    }
+    const entry = normalizeEntry(modelName, metadata);
+    ModelRegistry.#entries.set(modelName, entry);
+    return entry;
+  }
+
+  /**
+   * Remove a model's metadata, so it falls back to the generic defaults
+   * @param {string} modelName - Model identifier
+   * @returns {boolean} true if the model was registered
+   */
+  static unregister(modelName) {
+    return ModelRegistry.#entries.delete(modelName);
+  }
+
+  /**
+   * Get a model's metadata
+   * @param {string} modelName - Model identifier
+   * @returns {Object|null} Entry, or null for unregistered models
+   */
+  static get(modelName) {
+    return ModelRegistry.#entries.get(modelName) ?? null;
+  }
+
+  /**
+   * Check whether a model is registered
+   * @param {string} modelName - Model identifier
+   * @returns {boolean}
+   */
+  static has(modelName) {
+    return ModelRegistry.#entries.has(modelName);
+  }
+
+  /**
+   * List every registered model
+   * @returns {Array<Object>} Entries in registration order
+   */
+  static list() {
+    return [...ModelRegistry.#entries.values()];
+  }
+
+  /**
+   * Point an alias at a concrete model (or move it to another one). Rerankers that already
+   * loaded the old model keep it; use AliasReranker.swapModel() to switch live traffic.
+   * @param {string} alias - Alias name, e.g. 'production'
+   * @param {string} modelName - Concrete model identifier (not another alias)
+   * @throws {InvalidInputError} If the alias names a registered model or the target is an alias
+   *
+   * @example
+   * ModelRegistry.setAlias('production', 'Xenova/ms-marco-MiniLM-L-6-v2');
+   * new NativeEmbeddingReranker({ model: 'production' }).model; // 'Xenova/ms-marco-MiniLM-L-6-v2'
+   */
+  static setAlias(alias, modelName) {
+    if (typeof alias !== 'string' || alias.trim() === '') {
+      throw new InvalidInputError('An alias name must be a non-empty string.', { param: 'alias' });
+    }
+    if (typeof modelName !== 'string' || modelName.trim() === '') {
+      throw new InvalidInputError(`Alias "${alias}" needs a model name.`, { param: 'model' });
+    }
+    if (ModelRegistry.#entries.has(alias)) {
+      throw new InvalidInputError(`"${alias}" is a registered model and cannot be used as an alias`, { param: 'alias' });
+    }
+    if (ModelRegistry.#aliases.has(modelName)) {
+      throw new InvalidInputError(`Alias "${alias}" must point to a model, not to the alias "${modelName}"`, { param: 'model' });
+    }
+    ModelRegistry.#aliases.set(alias, modelName);
+  }
+
+  /**
+   * Remove an alias
+   * @param {string} alias - Alias name
+   * @returns {boolean} true if the alias existed
+   */
+  static removeAlias(alias) {
+    return ModelRegistry.#aliases.delete(alias);
+  }
+
+  /**
+   * Check whether a name is an alias
+   * @param {string} name - Alias or model name
+   * @returns {boolean}
+   */
+  static isAlias(name) {
+    return ModelRegistry.#aliases.has(name);
+  }
+
+  /**
+   * Resolve an alias to the model it points to
+   * @param {string} name - Alias or model name
+   * @returns {string} The aliased model, or `name` itself when it is not an alias
+   */
+  static resolveAlias(name) {
+    return ModelRegistry.#aliases.get(name) ?? name;
+  }
+
+  /**
+   * List every alias
+   * @returns {Object<string, string>} Model name per alias
+   */
+  static getAliases() {
+    return Object.fromEntries(ModelRegistry.#aliases);
+  }
+
+  /**
+   * Pick the ONNX weights to load for a model
+   * @param {string} modelName - Model identifier
+   * @param {Object} [options={}]
+   * @param {boolean|null} [options.quantized=null] - true/false picks that variant (null = the registry default)
+   * @param {string|null} [options.onnxFile=null] - Specific file such as 'onnx/model_fp16.onnx'; overrides `quantized`
+   * @returns {{file: string, modelFileName: string, quantized: boolean, isDefault: boolean}}
+   *   `modelFileName` is `file` without folder and extension, as Transformers.js' model_file_name option
+   */
+  static resolveVariant(modelName, { quantized = null, onnxFile = null } = {}) {
+    const entry = ModelRegistry.get(modelName) ?? normalizeEntry(modelName, {});
+    if (quantized !== null && typeof quantized !== 'boolean') {
+      throw new InvalidInputError(`quantized must be a boolean, got ${quantized}`, { param: 'quantized' });
+    }
+
+    const defaultFile = entry.quantized ? entry.files.quantized : entry.files.full;
+    const file = onnxFile !== null
+      ? parseOnnxFile(onnxFile, 'onnxFile').file
+      : (quantized ?? entry.quantized) ? entry.files.quantized : entry.files.full;
+
+    return {
+      file,
+      modelFileName: parseOnnxFile(file, 'onnxFile').modelFileName,
+      quantized: file === entry.files.quantized,
+      isDefault: file === defaultFile
+    };
+  }
+}
+
+export { ModelRegistry };
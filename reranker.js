@@ -1,6 +1,21 @@
 import { AutoTokenizer, AutoModelForSequenceClassification } from '@xenova/transformers';
 import path from 'path';
 import fs from 'fs';
+import { EventEmitter } from 'events';
+import { ScoreCalibrator } from './calibration.js';
+import { ScoreCache } from './score-cache.js';
+import { createConsoleLogger } from './logger.js';
+import { InferencePool } from './inference-pool.js';
+import { requiredModelFiles, getModelDir, verifyModelFiles } from './model-manifest.js';
+import { ModelRegistry } from './model-registry.js';
+import {
+  RerankerError,
+  InvalidInputError,
+  ModelNotInitializedError,
+  ModelLoadError,
+  InferenceError,
+  AbortError
+} from './errors.js';
 
 // --- New: Safe high-resolution timer with a fallback ---
 const now = (typeof performance !== 'undefined' && performance.now) 
@@ -27,10 +42,140 @@ const now = (typeof performance !== 'undefined' && performance.now)
  *   const results = await reranker.rerank(query, documents);
  */
 
+// ====================================================================
+// CANCELLATION HELPERS
+// ====================================================================
+
+/**
+ * Build a function that reports whether a call should stop, checked between batches
+ * @param {Object} options
+ * @param {AbortSignal|null} [options.signal=null] - Caller's abort signal
+ * @param {number|null} [options.timeoutMs=null] - Deadline relative to now
+ * @returns {() => AbortError|null} Returns an AbortError once the call should stop
+ * @throws {InvalidInputError} If timeoutMs is not a positive number or signal is not an AbortSignal
+ */
+function createAbortCheck({ signal = null, timeoutMs = null }) {
+  if (timeoutMs !== null && !(typeof timeoutMs === 'number' && Number.isFinite(timeoutMs) && timeoutMs > 0)) {
+    throw new InvalidInputError(`timeoutMs must be a positive number of milliseconds, got ${timeoutMs}`, { param: 'timeoutMs' });
+  }
+  if (signal !== null && !(typeof signal === 'object' && 'aborted' in signal && typeof signal.addEventListener === 'function')) {
+    throw new InvalidInputError('signal must be an AbortSignal.', { param: 'signal' });
+  }
+  const deadline = timeoutMs !== null ? now() + timeoutMs : null;
+
+  return () => {
+    if (signal?.aborted) {
+      return new AbortError('Reranking was aborted', { reason: signal.reason });
+    }
+    if (deadline !== null && now() > deadline) {
+      return new AbortError(`Reranking timed out after ${timeoutMs}ms`, { timedOut: true });
+    }
+    return null;
+  };
+}
+
+/**
+ * Time left before a deadline shared by consecutive rerank calls (ensemble members, cascade stages)
+ * @param {number|null} deadline - now() value the calls must finish by, or null for no deadline
+ * @param {number|null} timeoutMs - The caller's timeout, for the error message
+ * @returns {number|null} Milliseconds to pass on as the next call's timeoutMs (null = no deadline)
+ * @throws {AbortError} If the deadline has already passed
+ */
+function remainingTimeout(deadline, timeoutMs) {
+  if (deadline === null) return null;
+
+  const remaining = deadline - now();
+  if (remaining <= 0) {
+    throw new AbortError(`Reranking timed out after ${timeoutMs}ms`, { timedOut: true });
+  }
+  return remaining;
+}
+
+// ====================================================================
+// INPUT VALIDATION HELPERS
+// ====================================================================
+
+/**
+ * Check that a query is a non-empty string
+ * @param {*} query - Query to check
+ * @param {string} [param='query'] - Argument name used in the error
+ * @throws {InvalidInputError}
+ */
+function validateQuery(query, param = 'query') {
+  if (typeof query !== 'string' || query.trim() === '') {
+    throw new InvalidInputError(`${param} must be a non-empty string, got ${query === '' ? 'an empty string' : typeof query}`, { param });
+  }
+}
+
+/**
+ * Check that documents is an array of strings or objects
+ * @param {*} documents - Documents to check
+ * @param {Object} [options={}]
+ * @param {string} [options.param='documents'] - Argument name used in the error
+ * @param {number} [options.offset=0] - Position of the first document in the caller's input (streams)
+ * @throws {InvalidInputError}
+ */
+function validateDocuments(documents, { param = 'documents', offset = 0 } = {}) {
+  if (!Array.isArray(documents)) {
+    throw new InvalidInputError(`${param} must be an array of strings or objects`, { param });
+  }
+  documents.forEach((doc, i) => {
+    if (typeof doc !== 'string' && (doc === null || typeof doc !== 'object' || Array.isArray(doc))) {
+      throw new InvalidInputError(`Document ${offset + i} must be a string or an object, got ${doc === null ? 'null' : Array.isArray(doc) ? 'an array' : typeof doc}`, { param });
+    }
+  });
+}
+
+/**
+ * Check the numeric options shared by all rerank methods
+ * @param {Object} options
+ * @param {*} options.topK - Positive integer or Infinity
+ * @param {*} options.batchSize - Positive integer
+ * @param {*} [options.offset=0] - Non-negative integer
+ * @param {*} [options.limit=null] - Positive integer, Infinity or null
+ * @param {*} [options.minScore=null] - Finite number or null
+ * @param {*} [options.relativeCutoff=null] - Number in [0, 1] or null
+ * @throws {InvalidInputError}
+ */
+function validateRerankOptions({ topK, batchSize, offset = 0, limit = null, minScore = null, relativeCutoff = null }) {
+  const isCount = (value) => (Number.isInteger(value) && value > 0) || value === Infinity;
+
+  if (!isCount(topK)) {
+    throw new InvalidInputError(`topK must be a positive integer or Infinity, got ${topK}`, { param: 'topK' });
+  }
+  if (!(Number.isInteger(batchSize) && batchSize > 0)) {
+    throw new InvalidInputError(`batchSize must be a positive integer, got ${batchSize}`, { param: 'batchSize' });
+  }
+  if (!(Number.isInteger(offset) && offset >= 0)) {
+    throw new InvalidInputError(`offset must be a non-negative integer, got ${offset}`, { param: 'offset' });
+  }
+  if (limit !== null && !isCount(limit)) {
+    throw new InvalidInputError(`limit must be a positive integer or Infinity, got ${limit}`, { param: 'limit' });
+  }
+  if (minScore !== null && !Number.isFinite(minScore)) {
+    throw new InvalidInputError(`minScore must be a finite number, got ${minScore}`, { param: 'minScore' });
+  }
+  if (relativeCutoff !== null && !(relativeCutoff >= 0 && relativeCutoff <= 1)) {
+    throw new InvalidInputError(`relativeCutoff must be between 0 and 1, got ${relativeCutoff}`, { param: 'relativeCutoff' });
+  }
+}
+
 // ====================================================================
 // MODEL LOADER CLASS
 // ====================================================================
 
+/**
+ * Format a byte count for log messages
+ * @param {number} bytes
+ * @returns {string} e.g. '22.9 MB'
+ */
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Built-in ways of turning logits into a relevance score (see ModelLoader.registerScoreHead)
+const SCORE_HEADS = ['auto', 'sigmoid', 'softmax', 'raw-logit', 'log-softmax-margin'];
+
 /**
  * Model loader class for the cross-encoder reranking model
  */
@@ -39,10 +184,48 @@ class ModelLoader {
   static #models = new Map();
   static #tokenizers = new Map();
   static #initializationPromises = new Map();
+  // ModelLoader instances holding a lease on each cached model (see initialize() and release())
+  static #leases = new Map();
+  // Bumped by clearCache() so a load that was in flight at the time discards its result
+  static #generations = new Map();
+  // Model cache policy (see configureCache) and per-model usage, least recently used first
+  static #cacheLimits = { maxModels: Infinity, maxMemoryBytes: Infinity };
+  static #usage = new Map();
+  static #cacheEvents = { evictions: 0, reloads: 0 };
+  // Custom score heads registered per model name (see registerScoreHead)
+  static #scoreHeads = new Map();
+  // Query/document input templates registered per model name (see registerInputTemplate)
+  static #inputTemplates = new Map();
 
-  constructor({ modelName, cacheDir = null, logger = null }) {
-    if (!modelName) throw new Error("A model name must be provided.");
+  // Set once the "calibration skipped for a custom head" warning has been logged
+  #warnedUncalibrated = false;
+
+  // Score head and input template from the ModelRegistry entry, used when nothing else is set
+  #defaultScoreHead = null;
+  #defaultInputTemplate = null;
+  // Token limit from the registry entry (or the resolved modelConfig), applied in getMaxSequenceLength()
+  #maxSequenceLength = null;
+
+  constructor({ modelName, cacheDir = null, logger = null, calibrator = null, scoreHead = null, scoreCache = null, inferencePool = null, inputTemplate = null, offline = false, quantized = null, onnxFile = null, modelConfig = null }) {
+    if (!modelName) throw new InvalidInputError('A model name must be provided.', { param: 'modelName' });
     this.modelName = modelName;
+    // A modelConfig from getWorkerConfig() replaces the registry lookup: inference workers have their
+    // own ModelRegistry, which never sees models registered at runtime on the main thread
+    this.modelInfo = modelConfig ? null : ModelRegistry.get(modelName); // Registry metadata, or null for unregistered models
+    this.variant = modelConfig?.variant ?? ModelRegistry.resolveVariant(modelName, { quantized, onnxFile }); // ONNX weights to load
+    this.#maxSequenceLength = modelConfig ? modelConfig.maxSequenceLength : this.modelInfo?.maxSequenceLength ?? null;
+    // Non-default weights get their own slot in the shared cache
+    this.cacheKey = this.variant.isDefault ? modelName : `${modelName}@${this.variant.file}`;
+    this.offline = ModelLoader.#resolveOfflineOptions(offline); // null = network downloads allowed
+    this.calibrator = calibrator; // Optional ScoreCalibrator applied in getScores()
+    this.scoreHead = scoreHead ? ModelLoader.#normalizeScoreHead(scoreHead) : null; // Overrides the registry
+    this.inputTemplate = inputTemplate ? ModelLoader.#normalizeInputTemplate(inputTemplate) : null; // Overrides the registry
+    if (this.modelInfo) {
+      this.#defaultScoreHead = ModelLoader.#normalizeScoreHead(this.modelInfo.scoreHead);
+      this.#defaultInputTemplate = this.modelInfo.inputTemplate && ModelLoader.#normalizeInputTemplate(this.modelInfo.inputTemplate);
+    }
+    this.scoreCache = scoreCache; // Optional ScoreCache of logits consulted in getScores()
+    this.inferencePool = inferencePool; // Optional InferencePool that runs getLogits() on worker threads
     
     // Define the cache directory for models, with a fallback
     this.cacheDir = cacheDir
@@ -50,12 +233,7 @@ class ModelLoader {
       : path.resolve(process.cwd(), 'models'); // Default to a local 'models' folder
 
     // Set up logger (use default if none provided)
-    this.logger = logger || {
-      debug: (msg) => console.debug(`[DEBUG] ${msg}`),
-      info: (msg) => console.info(`[INFO] ${msg}`),
-      warn: (msg) => console.warn(`[WARN] ${msg}`),
-      error: (msg) => console.error(`[ERROR] ${msg}`)
-    };
+    this.logger = logger || createConsoleLogger();
 
     // Ensure the cache directory exists
     if (!fs.existsSync(this.cacheDir)) {
@@ -67,60 +245,384 @@ class ModelLoader {
     this.logger.info(`[ModelLoader] Initialized for model "${this.modelName}" with cache: ${this.cacheDir}`);
   }
 
+  /**
+   * Resolve the `offline` option into a strict offline configuration (or null)
+   * @param {boolean|Object} offline - false, true, or { requireManifest, manifestPath, verifyChecksums }
+   * @returns {{requireManifest: boolean, manifestPath: string|null, verifyChecksums: boolean}|null}
+   */
+  static #resolveOfflineOptions(offline) {
+    if (!offline) return null;
+    if (offline !== true && (typeof offline !== 'object' || Array.isArray(offline))) {
+      throw new InvalidInputError('offline must be a boolean or an options object', { param: 'offline' });
+    }
+
+    const {
+      requireManifest = false,
+      manifestPath = null,
+      verifyChecksums = true
+    } = offline === true ? {} : offline;
+    return { requireManifest, manifestPath, verifyChecksums };
+  }
 
+  /**
+   * Folder holding this model's files inside the cache directory
+   * @returns {string}
+   */
+  getModelDir() {
+    return getModelDir(this.cacheDir, this.modelName);
+  }
 
   /**
-   * Initialize the cross-encoder model and tokenizer with caching
+   * Initialize the cross-encoder model and tokenizer with caching, and take a lease on them.
+   *
+   * Instances that use the same model (and ONNX variant) share one loaded copy. Each
+   * initialized instance holds one lease; the model is unloaded when the last lease is
+   * given back through release().
+   *
+   * In strict offline mode the model folder is verified first (required files present,
+   * checksums matching the manifest) and Transformers.js is told to use local files only,
+   * so a load never reaches the network.
+   *
    * @returns {Promise<void>}
+   * @throws {ModelLoadError} If loading fails; offline failures name the file in `error.file`
    */
   async initialize() {
-    // Check if this specific model is already loaded
-    if (ModelLoader.#models.has(this.modelName)) {
-      this.logger.debug(`Model "${this.modelName}" already initialized.`);
-      return;
+    // A load can be discarded by a concurrent clearCache(), so check again after waiting
+    while (!this.isLoaded()) {
+      const pending = ModelLoader.#initializationPromises.get(this.cacheKey);
+      if (pending) {
+        this.logger.debug(`Waiting for "${this.modelName}" initialization to complete...`);
+        await pending;
+      } else {
+        await this.#load();
+      }
     }
 
-    // Check if this specific model is currently being initialized
-    if (ModelLoader.#initializationPromises.has(this.modelName)) {
-      this.logger.debug(`Waiting for "${this.modelName}" initialization to complete...`);
-      await ModelLoader.#initializationPromises.get(this.modelName);
+    if (this.hasLease()) {
+      this.logger.debug(`Model "${this.modelName}" already initialized.`);
       return;
     }
 
+    const holders = ModelLoader.#leases.get(this.cacheKey) ?? new Set();
+    holders.add(this);
+    ModelLoader.#leases.set(this.cacheKey, holders);
+    this.logger.debug(`Leased model "${this.cacheKey}" (${holders.size} active)`);
+  }
+
+  /**
+   * Load the model and tokenizer into the shared cache. Concurrent initialize() calls wait on
+   * the same load through #initializationPromises.
+   * @returns {Promise<void>}
+   */
+  #load() {
+    const key = this.cacheKey;
+    const generation = ModelLoader.#generations.get(key) ?? 0;
+
     const promise = (async () => {
       try {
         this.logger.info(`Loading model: ${this.modelName}...`);
         const start = now();
 
-        // Load the model and tokenizer
+        if (this.offline) {
+          const { files, manifest } = await verifyModelFiles(this.getModelDir(), {
+            modelName: this.modelName,
+            requiredFiles: requiredModelFiles({ onnxFile: this.variant.file }),
+            ...this.offline
+          });
+          this.logger.debug(manifest
+            ? `Verified ${files.length} model files against ${manifest}`
+            : `Found all required model files (no manifest to verify checksums)`);
+        }
+
+        // Load the model and tokenizer. The ONNX file is named exactly, so quantized is
+        // off to stop Transformers.js from appending its own '_quantized' suffix.
+        this.logger.debug(`Using ONNX weights: ${this.variant.file}`);
         const model = await AutoModelForSequenceClassification.from_pretrained(this.modelName, {
           cache_dir: this.cacheDir,
+          local_files_only: Boolean(this.offline),
+          quantized: false,
+          model_file_name: this.variant.modelFileName,
         });
         
         const tokenizer = await AutoTokenizer.from_pretrained(this.modelName, {
           cache_dir: this.cacheDir,
+          local_files_only: Boolean(this.offline),
         });
 
+        // clearCache() ran while loading: do not bring the cleared model back
+        if ((ModelLoader.#generations.get(key) ?? 0) !== generation) {
+          this.logger.warn(`Cache for model "${key}" was cleared while it was loading; discarding the loaded copy`);
+          await ModelLoader.#disposeWhenIdle(key, model, null, this.logger);
+          return;
+        }
+
         // Store the model and tokenizer
-        ModelLoader.#models.set(this.modelName, model);
-        ModelLoader.#tokenizers.set(this.modelName, tokenizer);
+        ModelLoader.#models.set(key, model);
+        ModelLoader.#tokenizers.set(key, tokenizer);
+
+        // Truncate at the smallest of the tokenizer, model config and registry limits
+        tokenizer.model_max_length = this.getMaxSequenceLength();
 
         const duration = now() - start;
         this.logger.info(`Model "${this.modelName}" loaded in ${duration.toFixed(2)}ms`);
         this.logger.debug(`Model cached at: ${this.cacheDir}`);
 
+        // Record the load, then make room under the cache limits (never evicting this model)
+        const usage = ModelLoader.#touch(key);
+        usage.memoryBytes = this.#estimateMemoryBytes(model);
+        usage.loads++;
+        if (usage.evictions > 0) {
+          ModelLoader.#cacheEvents.reloads++;
+          this.logger.info(`Reloaded evicted model "${key}" (~${formatMegabytes(usage.memoryBytes)})`);
+        }
+        await ModelLoader.#enforceCacheLimits(this.logger, key);
+
       } catch (error) {
-        this.logger.error(`Failed to load model "${this.modelName}": ${error.message}`);
-        throw error;
-      } finally {
-        // Clean up the initialization promise
-        ModelLoader.#initializationPromises.delete(this.modelName);
+        const loadError = error instanceof ModelLoadError ? error : new ModelLoadError(this.modelName, error);
+        this.logger.error(loadError.message);
+        throw loadError;
       }
     })();
 
+    // Clean up the initialization promise, unless clearCache() already replaced it
+    const cleanup = () => {
+      if (ModelLoader.#initializationPromises.get(key) === promise) {
+        ModelLoader.#initializationPromises.delete(key);
+      }
+    };
+    promise.then(cleanup, cleanup);
+
     // Store the promise so other concurrent calls can wait
-    ModelLoader.#initializationPromises.set(this.modelName, promise);
-    await promise;
+    ModelLoader.#initializationPromises.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Give back this instance's lease on the shared model. The model is unloaded when no
+   * other instance holds a lease, and its ONNX session is disposed: right away when no call
+   * is running on it, else when the last running call finishes. Safe to call more than once.
+   * @returns {Promise<boolean>} true if this was the last lease and the model was unloaded
+   */
+  async release() {
+    const holders = ModelLoader.#leases.get(this.cacheKey);
+    if (!holders?.delete(this)) return false;
+
+    if (holders.size > 0) {
+      this.logger.debug(`Released lease on model "${this.cacheKey}" (${holders.size} still active)`);
+      return false;
+    }
+
+    const model = ModelLoader.#models.get(this.cacheKey);
+    const usage = ModelLoader.#usage.get(this.cacheKey);
+    ModelLoader.#leases.delete(this.cacheKey);
+    ModelLoader.#models.delete(this.cacheKey);
+    ModelLoader.#tokenizers.delete(this.cacheKey);
+    ModelLoader.#usage.delete(this.cacheKey);
+
+    // Free the native ONNX session now rather than whenever the garbage collector gets to it,
+    // but never under a call still running on it (e.g. dispose() during this instance's rerank())
+    const disposed = ModelLoader.#disposeWhenIdle(this.cacheKey, model, usage, this.logger);
+    if (usage?.activeCalls > 0) {
+      this.logger.info(`Released last lease on model "${this.cacheKey}"; unloading it once ${usage.activeCalls} running call(s) finish`);
+    } else {
+      await disposed;
+      this.logger.info(`Released last lease on model "${this.cacheKey}"; unloaded it from memory`);
+    }
+    return true;
+  }
+
+  /**
+   * Check whether this instance holds a lease on its model
+   * @returns {boolean}
+   */
+  hasLease() {
+    return ModelLoader.#leases.get(this.cacheKey)?.has(this) ?? false;
+  }
+
+  /**
+   * Number of instances holding a lease on this instance's model
+   * @returns {number}
+   */
+  getRefCount() {
+    return ModelLoader.#leases.get(this.cacheKey)?.size ?? 0;
+  }
+
+  /**
+   * Mark the model as in use so the model cache does not evict it, reloading it first if it
+   * was evicted while this instance held a lease. Call the returned function when done.
+   * @returns {Promise<Function>} Unpin function (safe to call more than once)
+   * @throws {ModelNotInitializedError} If the model is not loaded and this instance holds no lease
+   */
+  async pin() {
+    if (!this.isLoaded() && this.hasLease()) {
+      this.logger.info(`Model "${this.cacheKey}" was evicted from the model cache; reloading on demand`);
+      await this.initialize();
+    }
+    if (!this.isLoaded()) {
+      throw new ModelNotInitializedError(this.modelName);
+    }
+
+    const usage = ModelLoader.#touch(this.cacheKey);
+    usage.activeCalls++;
+    let pinned = true;
+    return () => {
+      if (!pinned) return;
+      pinned = false;
+      usage.activeCalls--;
+      usage.lastUsedAt = Date.now();
+      // A model taken out of the cache during the call is disposed now that it is idle
+      if (usage.activeCalls === 0 && usage.onIdle) {
+        const onIdle = usage.onIdle;
+        usage.onIdle = null;
+        onIdle();
+      }
+    };
+  }
+
+  /**
+   * Estimate the memory a loaded model takes: the size of its ONNX weights and tokenizer
+   * on disk, or a parameter count from its config when the files are not in the cache folder
+   * @param {Object} model - Loaded model
+   * @returns {number} Estimated bytes
+   */
+  #estimateMemoryBytes(model) {
+    const onDisk = [this.variant.file, 'tokenizer.json']
+      .map(file => path.join(this.getModelDir(), file))
+      .filter(file => fs.existsSync(file))
+      .reduce((sum, file) => sum + fs.statSync(file).size, 0);
+    if (onDisk > 0) return onDisk;
+
+    // Embeddings plus ~12 h² weights per transformer layer
+    const { vocab_size = 0, hidden_size = 0, num_hidden_layers = 0 } = model?.config ?? {};
+    const parameters = vocab_size * hidden_size + num_hidden_layers * 12 * hidden_size ** 2;
+    return parameters * (this.variant.quantized ? 1 : 4);
+  }
+
+  /**
+   * Move a model to the most recently used end of the usage list
+   * @param {string} key - Cache key
+   * @returns {Object} The model's usage record
+   */
+  static #touch(key) {
+    const usage = ModelLoader.#usage.get(key)
+      ?? { memoryBytes: 0, activeCalls: 0, loads: 0, evictions: 0, lastUsedAt: null, onIdle: null };
+    usage.lastUsedAt = Date.now();
+    ModelLoader.#usage.delete(key);
+    ModelLoader.#usage.set(key, usage);
+    return usage;
+  }
+
+  /**
+   * Evict least recently used idle models until the cache is within its limits.
+   * Evicted models keep their leases and are reloaded by the next call that uses them.
+   * @param {Object|null} [logger=null] - Logger for eviction events (default: console)
+   * @param {string|null} [protectedKey=null] - Model that must stay (the one just loaded)
+   * @returns {Promise<void>} Resolves once the evicted models have been disposed
+   */
+  static async #enforceCacheLimits(logger = null, protectedKey = null) {
+    const log = logger || createConsoleLogger();
+    const { maxModels, maxMemoryBytes } = ModelLoader.#cacheLimits;
+    const loaded = [...ModelLoader.#usage.entries()].filter(([key]) => ModelLoader.#models.has(key));
+    let count = loaded.length;
+    let bytes = loaded.reduce((sum, [, usage]) => sum + usage.memoryBytes, 0);
+    const evicted = [];
+
+    for (const [key, usage] of loaded) {
+      if (count <= maxModels && bytes <= maxMemoryBytes) break;
+      if (key === protectedKey || usage.activeCalls > 0) continue;
+
+      evicted.push([key, ModelLoader.#models.get(key)]);
+      ModelLoader.#models.delete(key);
+      ModelLoader.#tokenizers.delete(key);
+      usage.evictions++;
+      ModelLoader.#cacheEvents.evictions++;
+      count--;
+      bytes -= usage.memoryBytes;
+      const leases = ModelLoader.#leases.get(key)?.size ?? 0;
+      log.info(`Evicted idle model "${key}" from the model cache (~${formatMegabytes(usage.memoryBytes)}, ${leases} lease(s) kept; reloads on next use)`);
+    }
+
+    if (count > maxModels || bytes > maxMemoryBytes) {
+      log.warn(`Model cache holds ${count} models (~${formatMegabytes(bytes)}), over its limit, because the other models are in use`);
+    }
+
+    // Free the native ONNX sessions (evicted models are idle, so this happens right away)
+    await Promise.all(evicted.map(([key, model]) => ModelLoader.#disposeWhenIdle(key, model, null, log)));
+  }
+
+  /**
+   * Dispose the ONNX session of a model that was taken out of the cache, once no call
+   * pinned on it is still running. Dispose failures are logged, never thrown, so they
+   * cannot fail the load, release or clear that triggered them.
+   * @param {string} key - Cache key, for the log
+   * @param {Object|null} model - Model removed from the cache
+   * @param {Object|null} usage - Its usage record; pinned calls delay the dispose until the last unpin
+   * @param {Object} logger - Logger for dispose failures
+   * @returns {Promise<void>} Resolves once the session is disposed
+   */
+  static async #disposeWhenIdle(key, model, usage, logger) {
+    if (usage?.activeCalls > 0) {
+      await new Promise(resolve => { usage.onIdle = resolve; });
+    }
+    try {
+      await model?.dispose?.();
+    } catch (error) {
+      logger.warn(`Failed to dispose model "${key}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Set the model cache policy shared by every ModelLoader. When a load takes the cache over a
+   * limit, the least recently used models that no call is using are evicted; instances holding
+   * a lease on an evicted model reload it on their next call. Applies immediately; the limits are
+   * checked synchronously and the returned promise waits for evicted models to be disposed.
+   * @param {Object} [options={}]
+   * @param {number} [options.maxModels=Infinity] - Most models kept loaded at once
+   * @param {number} [options.maxMemoryBytes=Infinity] - Estimated memory budget for loaded models
+   * @returns {Promise<{maxModels: number, maxMemoryBytes: number}>} The policy now in effect
+   * @throws {InvalidInputError} If a limit is not a positive number
+   *
+   * @example
+   * await ModelLoader.configureCache({ maxModels: 2, maxMemoryBytes: 512 * 1024 * 1024 });
+   */
+  static configureCache({ maxModels = Infinity, maxMemoryBytes = Infinity } = {}) {
+    if (!(maxModels === Infinity || (Number.isInteger(maxModels) && maxModels > 0))) {
+      throw new InvalidInputError(`maxModels must be a positive integer or Infinity, got ${maxModels}`, { param: 'maxModels' });
+    }
+    if (!(typeof maxMemoryBytes === 'number' && maxMemoryBytes > 0)) {
+      throw new InvalidInputError(`maxMemoryBytes must be a positive number or Infinity, got ${maxMemoryBytes}`, { param: 'maxMemoryBytes' });
+    }
+
+    ModelLoader.#cacheLimits = { maxModels, maxMemoryBytes };
+    const policy = { ...ModelLoader.#cacheLimits };
+    return ModelLoader.#enforceCacheLimits().then(() => policy);
+  }
+
+  /**
+   * Get model cache statistics: limits, estimated memory and per-model usage
+   * @returns {{maxModels: number, maxMemoryBytes: number, loadedModels: number, estimatedMemoryBytes: number,
+   *   evictions: number, reloads: number, models: Array<Object>}} `models` is most recently used first
+   */
+  static getCacheStats() {
+    const models = [...ModelLoader.#usage.entries()].reverse().map(([key, usage]) => ({
+      key,
+      loaded: ModelLoader.#models.has(key),
+      memoryBytes: usage.memoryBytes,
+      refCount: ModelLoader.#leases.get(key)?.size ?? 0,
+      activeCalls: usage.activeCalls,
+      loads: usage.loads,
+      evictions: usage.evictions,
+      lastUsedAt: usage.lastUsedAt
+    }));
+    const loaded = models.filter(model => model.loaded);
+
+    return {
+      ...ModelLoader.#cacheLimits,
+      loadedModels: loaded.length,
+      estimatedMemoryBytes: loaded.reduce((sum, model) => sum + model.memoryBytes, 0),
+      ...ModelLoader.#cacheEvents,
+      models
+    };
   }
 
   // --- New: Pure JavaScript math functions for robustness ---
@@ -134,24 +636,203 @@ class ModelLoader {
     return exps.map(e => e / sumExps);
   }
 
+  #logSumExp(arr) {
+    const max = Math.max(...arr);
+    return max + Math.log(arr.reduce((sum, x) => sum + Math.exp(x - max), 0));
+  }
+
+  /**
+   * Validate a score head specification and bring it into { name, labelIndex, fn } form
+   * @param {string|Function|Object} head - Head name, custom function, or { head, labelIndex }
+   * @returns {{name: string, labelIndex: number|null, fn: Function|null}}
+   */
+  static #normalizeScoreHead(head) {
+    if (typeof head === 'function') {
+      return { name: 'custom', labelIndex: null, fn: head };
+    }
+
+    const { head: name = 'auto', labelIndex = null } = typeof head === 'string' ? { head } : head;
+    if (!SCORE_HEADS.includes(name)) {
+      throw new InvalidInputError(`Unknown score head "${name}". Expected a function or one of: ${SCORE_HEADS.join(', ')}`, { param: 'scoreHead' });
+    }
+    if (labelIndex !== null && !Number.isInteger(labelIndex)) {
+      throw new InvalidInputError(`Score head labelIndex must be an integer, got ${labelIndex}`, { param: 'scoreHead' });
+    }
+
+    return { name, labelIndex, fn: null };
+  }
+
+  /**
+   * Register how a model's logits are turned into a relevance score.
+   * Applies to every ModelLoader for that model name that has no instance-level override.
+   * 
+   * @param {string} modelName - Model identifier
+   * @param {string|Function|Object} head - One of:
+   *   - 'auto': Sigmoid for single-logit models, softmax of the positive class otherwise (default)
+   *   - 'sigmoid' | 'softmax': Probability of the chosen label
+   *   - 'raw-logit': The chosen label's logit, unsquashed
+   *   - 'log-softmax-margin': Chosen logit minus the log-sum-exp of the others
+   *   - { head, labelIndex }: Any of the above for an explicit label index
+   *   - (logits, { labelIndex, id2label, modelName }) => number: Custom function per row
+   */
+  static registerScoreHead(modelName, head) {
+    ModelLoader.#scoreHeads.set(modelName, ModelLoader.#normalizeScoreHead(head));
+  }
+
+  /**
+   * Remove a registered score head, restoring the 'auto' behaviour for the model
+   * @param {string} modelName - Model identifier
+   */
+  static unregisterScoreHead(modelName) {
+    ModelLoader.#scoreHeads.delete(modelName);
+  }
+
+  /**
+   * Validate an input template and turn it into a pair formatter
+   * @param {Function|Object} template - (query, passage) => [query, passage], or { query, document }
+   * @returns {(query: string, passage: string) => Array<string>}
+   */
+  static #normalizeInputTemplate(template) {
+    if (typeof template === 'function') {
+      return (query, passage) => {
+        const pair = template(query, passage);
+        if (!Array.isArray(pair) || pair.length !== 2 || pair.some(part => typeof part !== 'string')) {
+          throw new InvalidInputError('An input template function must return a [query, passage] pair of strings.', { param: 'inputTemplate' });
+        }
+        return pair;
+      };
+    }
+
+    if (template === null || typeof template !== 'object') {
+      throw new InvalidInputError('An input template must be a function or an object with "query" and/or "document" templates.', { param: 'inputTemplate' });
+    }
+
+    // Each side is a string with a {query} / {document} placeholder, or a function of the text
+    const side = (value, placeholder) => {
+      if (value === undefined || value === null) return (text) => text;
+      if (typeof value === 'function') return value;
+      if (typeof value === 'string' && value.includes(placeholder)) return (text) => value.replaceAll(placeholder, () => text);
+      throw new InvalidInputError(`Input template "${placeholder.slice(1, -1)}" must be a function or a string containing ${placeholder}`, { param: 'inputTemplate' });
+    };
+    const formatQuery = side(template.query, '{query}');
+    const formatDocument = side(template.document, '{document}');
+
+    return (query, passage) => [formatQuery(query), formatDocument(passage)];
+  }
+
+  /**
+   * Register how queries and documents are formatted for a model before tokenization,
+   * e.g. instruction prefixes for instruction-tuned cross-encoders.
+   * Applies to every ModelLoader for that model name that has no instance-level override.
+   * 
+   * @param {string} modelName - Model identifier
+   * @param {Function|Object} template - One of:
+   *   - { query: 'query: {query}', document: 'passage: {document}' }: Template strings (either side optional)
+   *   - { query: (query) => string, document: (passage) => string }: Functions per side
+   *   - (query, passage) => [query, passage]: Function over the whole pair
+   */
+  static registerInputTemplate(modelName, template) {
+    ModelLoader.#inputTemplates.set(modelName, ModelLoader.#normalizeInputTemplate(template));
+  }
+
+  /**
+   * Remove a registered input template, so the model receives bare query-passage pairs
+   * @param {string} modelName - Model identifier
+   */
+  static unregisterInputTemplate(modelName) {
+    ModelLoader.#inputTemplates.delete(modelName);
+  }
+
+  /**
+   * Format query-passage pairs with the model's input template
+   * @param {Array<Array<string>>} queryPassagePairs - Array of [query, passage] pairs
+   * @param {Function|Object|false} [template] - Per-call template; false sends bare pairs,
+   *   undefined/null uses the instance template, then the registered one
+   * @returns {Array<Array<string>>} Formatted pairs (the input array when no template applies)
+   */
+  formatPairs(queryPassagePairs, template = undefined) {
+    const format = template === false
+      ? null
+      : template
+        ? ModelLoader.#normalizeInputTemplate(template)
+        : this.inputTemplate || ModelLoader.#inputTemplates.get(this.modelName) || this.#defaultInputTemplate || null;
+
+    return format ? queryPassagePairs.map(([query, passage]) => format(query, passage)) : queryPassagePairs;
+  }
+
+  /**
+   * Run the model on query-passage pairs and return the raw logits, one row per pair
+   * @param {Array<Array<string>>} queryPassagePairs - Array of [query, passage] pairs
+   * @returns {Promise<Array<Array<number>>>}
+   */
+  async getLogits(queryPassagePairs) {
+    const unpin = await this.pin();
+    const { model, tokenizer } = this.getModelAndTokenizer();
+
+    try {
+      // Extract queries and passages
+      const queries = queryPassagePairs.map(pair => pair[0]);
+      const passages = queryPassagePairs.map(pair => pair[1]);
+
+      // Tokenize using the text_pair format. No max_length: with padding it would pad every
+      // pair to the limit; truncation stops at the tokenizer's model_max_length (set in #load())
+      const features = tokenizer(queries, {
+        text_pair: passages,
+        padding: true,
+        truncation: true,
+      });
+
+      // Run model inference to get raw logits
+      const output = await model(features);
+      return output.logits.tolist(); // Get the raw nested array of numbers
+    } finally {
+      unpin();
+    }
+  }
+
   /**
    * Get relevance scores for query-passage pairs using tensor operations
    * @param {Array<Array<string>>} queryPassagePairs - Array of [query, passage] pairs
-   * @returns {Promise<Array<{score: number, label: string}>>}
+   * @param {Object} [options={}]
+   * @param {boolean} [options.calibrated=true] - Apply the calibrator (if any); false returns raw model scores
+   * @param {Function|Object|false} [options.inputTemplate] - Per-call input template (see formatPairs())
+   * @returns {Promise<Array<{score: number, label: string, logits: Array<number>, distribution: Array<number>, scoreLogit: number|null}>>}
+   *   `score` comes from the model's score head (a calibrated probability when calibration applies);
+   *   `distribution` is the softmax over all classes (or [1 - p, p] for single-logit models);
+   *   `scoreLogit` is the uncalibrated score on the logit scale (null for custom score heads)
    */
-  async getScores(queryPassagePairs) {
+  async getScores(queryPassagePairs, options = {}) {
+    // Keep the model loaded for the call (reloading it if the model cache evicted it)
+    const unpin = await this.pin();
+    try {
+      return await this.#scoreLoadedPairs(queryPassagePairs, options);
+    } finally {
+      unpin();
+    }
+  }
+
+  /**
+   * Body of getScores(), run while the model is pinned
+   * @param {Array<Array<string>>} queryPassagePairs - Array of [query, passage] pairs
+   * @param {Object} options - See getScores()
+   * @returns {Promise<Array<Object>>}
+   */
+  async #scoreLoadedPairs(queryPassagePairs, { calibrated = true, inputTemplate = undefined }) {
     // Retrieve the correct model and tokenizer from the maps
-    const model = ModelLoader.#models.get(this.modelName);
-    const tokenizer = ModelLoader.#tokenizers.get(this.modelName);
+    const model = ModelLoader.#models.get(this.cacheKey);
+    const tokenizer = ModelLoader.#tokenizers.get(this.cacheKey);
 
     if (!model || !tokenizer) {
-      throw new Error(`Model "${this.modelName}" not initialized. Call initialize() first.`);
+      throw new ModelNotInitializedError(this.modelName);
     }
 
     if (!Array.isArray(queryPassagePairs) || queryPassagePairs.length === 0) {
       return [];
     }
 
+    // Instruction prefixes and the like; the score cache keys on the formatted pair
+    queryPassagePairs = this.formatPairs(queryPassagePairs, inputTemplate);
+
     try {
       // --- New: Get the model's configuration to find the positive class ---
       const config = model.config || {};
@@ -163,32 +844,72 @@ class ModelLoader {
       );
       this.logger.debug(`Determined positive class index: ${positiveClassIndex}`);
 
-      // Extract queries and passages
-      const queries = queryPassagePairs.map(pair => pair[0]);
-      const passages = queryPassagePairs.map(pair => pair[1]);
-
-      // Tokenize using the text_pair format
-      const features = tokenizer(queries, {
-        text_pair: passages,
-        padding: true,
-        truncation: true,
+      // Serve cached logits where possible; only the misses go through the model
+      const logitsData = new Array(queryPassagePairs.length);
+      const missing = [];
+      queryPassagePairs.forEach(([query, passage], i) => {
+        const cached = this.scoreCache?.get(this.cacheKey, query, passage);
+        if (cached) {
+          logitsData[i] = cached;
+        } else {
+          missing.push(i);
+        }
       });
 
-      // Run model inference to get raw logits
-      const output = await model(features);
-      const logits = output.logits;
-      const shape = logits.dims || logits.shape || []; // Get tensor shape
+      if (this.scoreCache) {
+        this.logger.debug(`Score cache: ${queryPassagePairs.length - missing.length} hits, ${missing.length} misses`);
+      }
+
+      if (missing.length > 0) {
+        // Run inference on a worker thread when a pool is attached, otherwise in-process
+        const missingPairs = missing.map(i => queryPassagePairs[i]);
+        const rows = this.inferencePool
+          ? await this.inferencePool.run(missingPairs)
+          : await this.getLogits(missingPairs);
+
+        rows.forEach((row, j) => {
+          const i = missing[j];
+          logitsData[i] = row;
+          this.scoreCache?.set(this.cacheKey, queryPassagePairs[i][0], queryPassagePairs[i][1], row);
+        });
+      }
+
+      const numLogits = logitsData[0].length;
 
+      // Pick the score head: instance override, then registerScoreHead(), then the model registry, then 'auto'
+      const head = this.scoreHead || ModelLoader.#scoreHeads.get(this.modelName) || this.#defaultScoreHead || { name: 'auto', labelIndex: null };
+      const labelIndex = numLogits === 1 ? 0 : (head.labelIndex ?? positiveClassIndex);
+
+      // The log-softmax margin of the label is the logit of its softmax probability
+      const margin = (row) => (row.length === 1
+        ? row[0]
+        : row[labelIndex] - this.#logSumExp(row.filter((_, i) => i !== labelIndex)));
+
+      // `scoreLogits` is each score on the logit scale (null for custom heads); calibration works on it
       let scores;
-      const logitsData = logits.tolist(); // Get the raw nested array of numbers
+      let scoreLogits;
+      if (head.name === 'custom') {
+        this.logger.debug('Applying custom score head.');
+        scores = logitsData.map(row => head.fn(row, { labelIndex, id2label, modelName: this.modelName }));
+        scoreLogits = scores.map(() => null);
+
+      } else if (head.name === 'raw-logit') {
+        this.logger.debug(`Using raw logit ${labelIndex} as score.`);
+        scores = logitsData.map(row => row[labelIndex]);
+        scoreLogits = scores;
+
+      } else if (head.name === 'log-softmax-margin') {
+        this.logger.debug(`Using log-softmax margin of label ${labelIndex} as score.`);
+        scores = logitsData.map(margin);
+        scoreLogits = scores;
 
-      // The key change: Check the number of output columns (logits)
-      if (shape.length > 1 && shape[1] === 1) {
+      } else if (head.name === 'sigmoid' || numLogits === 1) {
         // --- Case 1: Handle single-logit models (like ms-marco) ---
         // The model outputs one score per document, so we use sigmoid.
         this.logger.debug('Applying SIGMOID for single-logit model (JS fallback).');
         // --- Updated: Use the JS helper ---
-        scores = logitsData.map(([logit]) => this.#sigmoid(logit));
+        scoreLogits = logitsData.map(row => row[labelIndex]);
+        scores = scoreLogits.map(z => this.#sigmoid(z));
 
       } else {
         // --- Case 2: Handle multi-logit models (like many modern rerankers) ---
@@ -197,40 +918,183 @@ class ModelLoader {
         this.logger.debug('Applying SOFTMAX for multi-logit model (JS fallback).');
         // --- Updated: Use the JS helper ---
         const probabilities = logitsData.map(row => this.#softmax(row));
-        scores = probabilities.map(row => row[positiveClassIndex]);
+        scores = probabilities.map(row => row[labelIndex]);
+        scoreLogits = logitsData.map(margin);
       }
+
+      // Full class distribution, independent of the score head
+      const distributions = logitsData.map(row => (row.length === 1
+        ? [1 - this.#sigmoid(row[0]), this.#sigmoid(row[0])]
+        : this.#softmax(row)));
       
+      // Apply fitted calibration and the per-model relevance threshold, if configured.
+      // Calibration maps the score's logit to a probability, so it works for logit heads too;
+      // custom heads have no logit scale and are left uncalibrated.
+      const calibrator = calibrated ? this.calibrator : null;
+      const threshold = calibrator ? calibrator.getThreshold(this.modelName) : 0.5;
+      if (calibrator?.hasCalibration(this.modelName)) {
+        if (head.name === 'custom') {
+          if (!this.#warnedUncalibrated) {
+            this.logger.warn(`Calibration for "${this.modelName}" is not applied: custom score heads have no logit scale to calibrate`);
+            this.#warnedUncalibrated = true;
+          }
+        } else {
+          scores = scoreLogits.map(z => calibrator.applyLogit(this.modelName, z));
+        }
+      }
+
       // Convert to expected format
-      const results = scores.map(score => ({
+      const results = scores.map((score, i) => ({
         score: score,
-        label: score > 0.5 ? 'RELEVANT' : 'NOT_RELEVANT'
+        label: score > threshold ? 'RELEVANT' : 'NOT_RELEVANT',
+        logits: logitsData[i],
+        distribution: distributions[i],
+        scoreLogit: scoreLogits[i]
       }));
       
       return results;
       
     } catch (error) {
       this.logger.error(`Error getting scores: ${error.message}`);
-      throw error;
+      if (error instanceof RerankerError) throw error;
+      throw new InferenceError(`Inference failed for model "${this.modelName}": ${error.message}`, { modelName: this.modelName, cause: error });
     }
   }
 
   /**
-   * Get model and tokenizer for direct access
-   * @returns {{model: any, tokenizer: any}}
+   * Resolved model settings for an inference worker's ModelLoader (its `modelConfig` option).
+   * Input templates are not included: pairs are formatted on the main thread before they reach a worker.
+   * @returns {{variant: Object, maxSequenceLength: number|null}}
    */
-  getModelAndTokenizer() {
-    return {
-      model: ModelLoader.#models.get(this.modelName),
-      tokenizer: ModelLoader.#tokenizers.get(this.modelName)
-    };
+  getWorkerConfig() {
+    return { variant: { ...this.variant }, maxSequenceLength: this.#maxSequenceLength };
   }
 
   /**
-   * Check if model is loaded
-   * @returns {boolean}
+   * Get the maximum number of tokens the model accepts for one query-passage pair
+   * @returns {number}
    */
-  isLoaded() {
-    return ModelLoader.#models.has(this.modelName) && ModelLoader.#tokenizers.has(this.modelName);
+  getMaxSequenceLength() {
+    const { model, tokenizer } = this.getModelAndTokenizer();
+    const candidates = [
+      tokenizer?.model_max_length,
+      model?.config?.max_position_embeddings,
+      this.#maxSequenceLength
+    ].filter(n => Number.isFinite(n) && n > 0);
+
+    // Tokenizer configs sometimes report a huge sentinel value, so take the smallest
+    return candidates.length > 0 ? Math.min(...candidates) : 512;
+  }
+
+  /**
+   * Count the tokens of a query-passage pair as the model will see it (input template applied, after truncation)
+   * @param {string} query - Query text
+   * @param {string} text - Passage text
+   * @param {Object} [options]
+   * @param {Function|Object|false} [options.inputTemplate] - Per-call input template (see formatPairs())
+   * @returns {number}
+   */
+  countPairTokens(query, text, { inputTemplate = undefined } = {}) {
+    const { tokenizer } = this.getModelAndTokenizer();
+
+    if (!tokenizer) {
+      throw new ModelNotInitializedError(this.modelName);
+    }
+
+    const [[formattedQuery, formattedText]] = this.formatPairs([[query, text ?? '']], inputTemplate);
+    return Math.min(tokenizer.encode(formattedQuery, formattedText).length, this.getMaxSequenceLength());
+  }
+
+  /**
+   * Split a passage into overlapping windows that fit next to the query in one model input.
+   * Windows are measured in tokens but cut on word boundaries, so every window is an
+   * exact substring of the passage and can be cited by character offsets.
+   * @param {string} query - Query the windows will be paired with
+   * @param {string} text - Passage text to split
+   * @param {Object} [options]
+   * @param {number|null} [options.maxTokens=null] - Max passage tokens per window (null = fill the model input)
+   * @param {number} [options.overlap=32] - Approximate number of tokens shared by consecutive windows
+   * @param {Function|Object|false} [options.inputTemplate] - Per-call input template (see formatPairs());
+   *   the tokens it adds to the query and around the passage are left out of the window budget
+   * @returns {Array<{text: string, start: number, end: number}>}
+   */
+  createPassageWindows(query, text, { maxTokens = null, overlap = 32, inputTemplate = undefined } = {}) {
+    const { tokenizer } = this.getModelAndTokenizer();
+
+    if (!tokenizer) {
+      throw new ModelNotInitializedError(this.modelName);
+    }
+
+    const passage = text ?? '';
+    const countTokens = (str) => tokenizer.encode(str, null, { add_special_tokens: false }).length;
+
+    // Budget = model limit - formatted query tokens - document template tokens - special tokens added around the pair
+    const [[formattedQuery, emptyDocument]] = this.formatPairs([[query, '']], inputTemplate);
+    const queryTokens = countTokens(formattedQuery);
+    const templateTokens = countTokens(emptyDocument);
+    const specialTokens = tokenizer.encode(formattedQuery, 'a').length - queryTokens - countTokens('a');
+    const available = this.getMaxSequenceLength() - queryTokens - templateTokens - specialTokens;
+    const windowSize = Math.max(1, maxTokens ? Math.min(maxTokens, available) : available);
+    const step = Math.max(1, windowSize - Math.max(0, overlap));
+
+    const words = [...passage.matchAll(/\S+/g)].map(match => ({
+      start: match.index,
+      end: match.index + match[0].length,
+      tokens: countTokens(match[0])
+    }));
+
+    const totalTokens = words.reduce((sum, word) => sum + word.tokens, 0);
+    if (totalTokens <= windowSize) {
+      return [{ text: passage, start: 0, end: passage.length }];
+    }
+
+    const windows = [];
+    let first = 0;
+    while (first < words.length) {
+      // Grow the window until the token budget is used up (always take at least one word)
+      let last = first;
+      let used = words[first].tokens;
+      while (last + 1 < words.length && used + words[last + 1].tokens <= windowSize) {
+        last++;
+        used += words[last].tokens;
+      }
+
+      const start = words[first].start;
+      const end = words[last].end;
+      windows.push({ text: passage.slice(start, end), start, end });
+
+      if (last === words.length - 1) break;
+
+      // Advance by roughly `step` tokens, but always make progress
+      let next = first;
+      let advanced = 0;
+      while (next < last && advanced + words[next].tokens <= step) {
+        advanced += words[next].tokens;
+        next++;
+      }
+      first = Math.max(next, first + 1);
+    }
+
+    return windows;
+  }
+
+  /**
+   * Get model and tokenizer for direct access
+   * @returns {{model: any, tokenizer: any}}
+   */
+  getModelAndTokenizer() {
+    return {
+      model: ModelLoader.#models.get(this.cacheKey),
+      tokenizer: ModelLoader.#tokenizers.get(this.cacheKey)
+    };
+  }
+
+  /**
+   * Check if model is loaded
+   * @returns {boolean}
+   */
+  isLoaded() {
+    return ModelLoader.#models.has(this.cacheKey) && ModelLoader.#tokenizers.has(this.cacheKey);
   }
 
   /**
@@ -242,40 +1106,736 @@ class ModelLoader {
   }
 
   /**
-   * Clear model cache for memory management
-   * @param {string|null} modelNameToClear - Specific model to clear, or null to clear all
+   * Clear model cache for memory management.
+   * Forces models out even while instances hold leases on them (those instances must call
+   * initialize() again); loads in flight are discarded when they finish. The ONNX sessions of
+   * cleared models are disposed once the calls still running on them finish.
+   * @param {string|null} modelNameToClear - Specific model to clear (all of its ONNX variants,
+   *   or one variant by its cache key), or null to clear all
    */
   static clearCache(modelNameToClear = null) {
-    if (modelNameToClear) {
-      // Clear specific model
-      const wasPresent = ModelLoader.#models.has(modelNameToClear) || ModelLoader.#tokenizers.has(modelNameToClear);
-      ModelLoader.#models.delete(modelNameToClear);
-      ModelLoader.#tokenizers.delete(modelNameToClear);
-      ModelLoader.#initializationPromises.delete(modelNameToClear); // Also clear any pending promises
-      
-      if (wasPresent) {
-        console.log(`[INFO] Cleared cache for model "${modelNameToClear}"`);
-      } else {
-        console.log(`[WARN] Model "${modelNameToClear}" was not found in cache`);
+    const allKeys = [...new Set([
+      ...ModelLoader.#models.keys(),
+      ...ModelLoader.#tokenizers.keys(),
+      ...ModelLoader.#initializationPromises.keys(),
+      ...ModelLoader.#leases.keys()
+    ])];
+    // A specific model includes its variants cached as "<model>@<onnx file>"
+    const keys = modelNameToClear
+      ? allKeys.filter(key => key === modelNameToClear || key.startsWith(`${modelNameToClear}@`))
+      : allKeys;
+
+    const cleared = keys.filter(key => ModelLoader.#models.has(key) || ModelLoader.#tokenizers.has(key));
+    const leased = keys.reduce((sum, key) => sum + (ModelLoader.#leases.get(key)?.size ?? 0), 0);
+    const logger = createConsoleLogger('info');
+    for (const key of keys) {
+      if (ModelLoader.#models.has(key)) {
+        ModelLoader.#disposeWhenIdle(key, ModelLoader.#models.get(key), ModelLoader.#usage.get(key), logger);
       }
+      ModelLoader.#models.delete(key);
+      ModelLoader.#tokenizers.delete(key);
+      ModelLoader.#initializationPromises.delete(key); // Also clear any pending promises
+      ModelLoader.#leases.delete(key);
+      ModelLoader.#usage.delete(key);
+      ModelLoader.#generations.set(key, (ModelLoader.#generations.get(key) ?? 0) + 1);
+    }
+
+    if (leased > 0) {
+      console.log(`[WARN] Cleared models still leased by ${leased} instance(s); they must call initialize() again`);
+    }
+    if (!modelNameToClear) {
+      console.log(`[INFO] Cleared cache for all models (${cleared.length} models removed)`);
+    } else if (cleared.length > 0) {
+      console.log(`[INFO] Cleared cache for model "${modelNameToClear}"`);
+    } else if (keys.length > 0) {
+      console.log(`[INFO] Discarding in-flight load of model "${modelNameToClear}"`);
     } else {
-      // Clear all models
-      const totalModels = ModelLoader.#models.size;
-      ModelLoader.#models.clear();
-      ModelLoader.#tokenizers.clear();
-      ModelLoader.#initializationPromises.clear();
-      
-      console.log(`[INFO] Cleared cache for all models (${totalModels} models removed)`);
+      console.log(`[WARN] Model "${modelNameToClear}" was not found in cache`);
     }
   }
 
   /**
-   * Get information about currently cached models
-   * @returns {Array<string>} Array of cached model names
+   * Get the number of leases held on each cached or leased model
+   * @returns {Object<string, number>} Ref count per cache key
+   */
+  static getRefCounts() {
+    const keys = new Set([...ModelLoader.#models.keys(), ...ModelLoader.#leases.keys()]);
+    return Object.fromEntries([...keys].map(key => [key, ModelLoader.#leases.get(key)?.size ?? 0]));
+  }
+
+  /**
+   * Get information about currently cached models
+   * @returns {Array<string>} Array of cached model names
+   */
+  static getCachedModels() {
+    return Array.from(ModelLoader.#models.keys());
+  }
+}
+
+// ====================================================================
+// PASSAGE WINDOWING HELPERS
+// ====================================================================
+
+const WINDOW_POOLING_METHODS = ['max', 'mean', 'top-n-mean'];
+
+/**
+ * Normalize the `windowing` option of rerank() into a full configuration
+ * @param {boolean|Object|null} windowing - null/false for no windowing, true for defaults,
+ *   or a partial configuration object
+ * @returns {{maxTokens: number|null, overlap: number, pooling: string, topN: number}|null}
+ * @throws {InvalidInputError} If the option or one of its fields is invalid
+ */
+function resolveWindowingOptions(windowing) {
+  if (windowing === null || windowing === false) return null;
+  if (windowing !== true && (typeof windowing !== 'object' || Array.isArray(windowing))) {
+    throw new InvalidInputError(`windowing must be true, null or an options object, got ${JSON.stringify(windowing)}`, { param: 'windowing' });
+  }
+
+  const {
+    maxTokens = null,
+    overlap = 32,
+    pooling = 'max',
+    topN = 3
+  } = windowing === true ? {} : windowing;
+
+  if (maxTokens !== null && !(Number.isInteger(maxTokens) && maxTokens > 0)) {
+    throw new InvalidInputError(`windowing.maxTokens must be a positive integer, got ${maxTokens}`, { param: 'windowing' });
+  }
+  if (!(Number.isInteger(overlap) && overlap >= 0) || (maxTokens !== null && overlap >= maxTokens)) {
+    throw new InvalidInputError(`windowing.overlap must be a non-negative integer smaller than maxTokens, got ${overlap}`, { param: 'windowing' });
+  }
+  if (!WINDOW_POOLING_METHODS.includes(pooling)) {
+    throw new InvalidInputError(`Unknown window pooling "${pooling}". Expected one of: ${WINDOW_POOLING_METHODS.join(', ')}`, { param: 'windowing' });
+  }
+  if (!(Number.isInteger(topN) && topN > 0)) {
+    throw new InvalidInputError(`windowing.topN must be a positive integer, got ${topN}`, { param: 'windowing' });
+  }
+
+  return { maxTokens, overlap, pooling, topN };
+}
+
+/**
+ * Combine the scores of all windows of one document into a single document score
+ * @param {Array<number>} scores - Window scores in window order
+ * @param {string} pooling - 'max', 'mean' or 'top-n-mean'
+ * @param {number} topN - Number of best windows averaged by 'top-n-mean'
+ * @returns {number}
+ */
+function poolWindowScores(scores, pooling, topN) {
+  if (pooling === 'mean') {
+    return scores.reduce((a, b) => a + b, 0) / scores.length;
+  }
+
+  if (pooling === 'top-n-mean') {
+    const best = [...scores].sort((a, b) => b - a).slice(0, topN);
+    return best.reduce((a, b) => a + b, 0) / best.length;
+  }
+
+  return Math.max(...scores);
+}
+
+// ====================================================================
+// DYNAMIC BATCHING HELPERS
+// ====================================================================
+
+/**
+ * Normalize the `dynamicBatching` option of rerank() into a full configuration
+ * @param {boolean|Object} dynamicBatching - true for defaults, or a partial configuration object
+ * @returns {{tokenBudget: number}}
+ */
+function resolveDynamicBatchingOptions(dynamicBatching) {
+  const { tokenBudget = 16384 } = dynamicBatching === true ? {} : dynamicBatching;
+
+  if (!Number.isFinite(tokenBudget) || tokenBudget <= 0) {
+    throw new InvalidInputError(`Dynamic batching tokenBudget must be a positive number, got ${tokenBudget}`, { param: 'dynamicBatching' });
+  }
+
+  return { tokenBudget };
+}
+
+/**
+ * Group items into batches of similar length so little of each batch is padding.
+ * Items are sorted by length and a batch grows while (items × longest item) stays
+ * within the token budget. A single item longer than the budget gets its own batch.
+ * @param {Array<number>} lengths - Token length of each item
+ * @param {Object} options
+ * @param {number} options.tokenBudget - Max padded tokens per batch
+ * @param {number} options.maxBatchSize - Max items per batch
+ * @returns {Array<Array<number>>} Batches of item indices
+ */
+function planLengthBatches(lengths, { tokenBudget, maxBatchSize }) {
+  const order = lengths.map((_, i) => i).sort((a, b) => lengths[a] - lengths[b] || a - b);
+
+  const batches = [];
+  let current = [];
+  for (const index of order) {
+    // Sorted ascending, so the newest item is always the longest in the batch
+    const paddedTokens = (current.length + 1) * lengths[index];
+    if (current.length > 0 && (paddedTokens > tokenBudget || current.length >= maxBatchSize)) {
+      batches.push(current);
+      current = [];
+    }
+    current.push(index);
+  }
+  if (current.length > 0) {
+    batches.push(current);
+  }
+
+  return batches;
+}
+
+// ====================================================================
+// SCORE FUSION HELPERS
+// ====================================================================
+
+const FUSION_METHODS = ['linear', 'rrf'];
+const FUSION_NORMALIZATIONS = ['min-max', 'z-score', 'none'];
+
+/**
+ * Normalize the `fusion` option of rerank() into a full configuration
+ * @param {string|Object} fusion - Name of the first-stage score field, or a configuration object
+ * @returns {{field: string, method: string, weight: number, normalization: string, rrfK: number, higherIsBetter: boolean}}
+ */
+function resolveFusionOptions(fusion) {
+  const {
+    field,
+    method = 'linear',
+    weight = 0.5,
+    normalization = 'min-max',
+    rrfK = 60,
+    higherIsBetter = true
+  } = typeof fusion === 'string' ? { field: fusion } : fusion;
+
+  if (typeof field !== 'string' || field === '') {
+    throw new InvalidInputError('Score fusion needs the "field" holding the first-stage score.', { param: 'fusion' });
+  }
+  if (!FUSION_METHODS.includes(method)) {
+    throw new InvalidInputError(`Unknown fusion method "${method}". Expected one of: ${FUSION_METHODS.join(', ')}`, { param: 'fusion' });
+  }
+  if (!FUSION_NORMALIZATIONS.includes(normalization)) {
+    throw new InvalidInputError(`Unknown fusion normalization "${normalization}". Expected one of: ${FUSION_NORMALIZATIONS.join(', ')}`, { param: 'fusion' });
+  }
+  if (!(weight >= 0 && weight <= 1)) {
+    throw new InvalidInputError(`Fusion weight must be between 0 and 1, got ${weight}`, { param: 'fusion' });
+  }
+  if (!(rrfK >= 0)) {
+    throw new InvalidInputError(`Fusion rrfK must be a non-negative number, got ${rrfK}`, { param: 'fusion' });
+  }
+
+  return { field, method, weight, normalization, rrfK, higherIsBetter };
+}
+
+/**
+ * Read a (possibly dotted) field path from a document, e.g. 'scores.bm25'
+ * @param {string|Object} doc - Input document
+ * @param {string} fieldPath - Field name or dotted path
+ * @returns {*} The value, or undefined when any step is missing
+ */
+function getFieldValue(doc, fieldPath) {
+  if (doc === null || typeof doc !== 'object') return undefined;
+  if (fieldPath in doc) return doc[fieldPath];
+  return fieldPath.split('.').reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), doc);
+}
+
+/**
+ * Smallest and largest score in one pass. Math.min(...scores) would pass every score as
+ * a call argument and overflow the call stack for long candidate lists.
+ * @param {Array<number>} scores - Scores
+ * @returns {{min: number, max: number}} Infinity and -Infinity for an empty list
+ */
+function scoreBounds(scores) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const score of scores) {
+    if (score < min) min = score;
+    if (score > max) max = score;
+  }
+  return { min, max };
+}
+
+/**
+ * Rescale scores so different score distributions can be mixed
+ * @param {Array<number>} scores - Raw scores
+ * @param {string} normalization - 'min-max', 'z-score' or 'none'
+ * @returns {Array<number>}
+ */
+function normalizeScores(scores, normalization) {
+  if (normalization === 'none' || scores.length === 0) return scores;
+
+  if (normalization === 'min-max') {
+    const { min, max } = scoreBounds(scores);
+    const range = max - min;
+    return scores.map(score => (range > 0 ? (score - min) / range : 0));
+  }
+
+  const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  const std = Math.sqrt(scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / scores.length);
+  return scores.map(score => (std > 0 ? (score - mean) / std : 0));
+}
+
+/**
+ * 1-based rank of each score (best first); ties share the order of their input position
+ * @param {Array<number>} scores - Scores, higher is better
+ * @returns {Array<number>}
+ */
+function rankPositions(scores) {
+  const ranks = new Array(scores.length);
+  scores
+    .map((_, i) => i)
+    .sort((a, b) => scores[b] - scores[a] || a - b)
+    .forEach((index, position) => { ranks[index] = position + 1; });
+  return ranks;
+}
+
+/**
+ * Fuse the cross-encoder score of every result with its first-stage retrieval score.
+ * Sets `_rerank_fused_score` (used for ranking) and `_rerank_fusion` (the components) on each result.
+ *
+ * - 'linear': weight × norm(rerank) + (1 - weight) × norm(retrieval). Documents without a
+ *   retrieval score get the lowest normalized retrieval score of the candidate set.
+ * - 'rrf': weight / (rrfK + rerank rank) + (1 - weight) / (rrfK + retrieval rank).
+ *   Documents without a retrieval score get no retrieval contribution.
+ *
+ * @param {Array<Object>} results - Results of one query, with _rerank_score and the input fields
+ * @param {Object} config - Resolved fusion configuration (see resolveFusionOptions)
+ * @returns {Array<Object>} The same results
+ */
+function applyScoreFusion(results, { field, method, weight, normalization, rrfK, higherIsBetter }) {
+  const retrievalScores = results.map(result => {
+    const value = getFieldValue(result, field);
+    if (value === undefined || value === null || value === '' || !Number.isFinite(Number(value))) return null;
+    return higherIsBetter ? Number(value) : -Number(value);
+  });
+  const present = results.map((_, i) => i).filter(i => retrievalScores[i] !== null);
+  const rerankScores = results.map(result => result._rerank_score);
+
+  if (method === 'rrf') {
+    const rerankRanks = rankPositions(rerankScores);
+    const retrievalRanks = new Array(results.length).fill(null);
+    rankPositions(present.map(i => retrievalScores[i])).forEach((rank, j) => { retrievalRanks[present[j]] = rank; });
+
+    results.forEach((result, i) => {
+      const retrievalPart = retrievalRanks[i] === null ? 0 : (1 - weight) / (rrfK + retrievalRanks[i]);
+      result._rerank_fused_score = weight / (rrfK + rerankRanks[i]) + retrievalPart;
+      result._rerank_fusion = { method, rerankRank: rerankRanks[i], retrievalRank: retrievalRanks[i] };
+    });
+    return results;
+  }
+
+  const normalizedRerank = normalizeScores(rerankScores, normalization);
+  const normalizedRetrieval = new Array(results.length).fill(null);
+  normalizeScores(present.map(i => retrievalScores[i]), normalization).forEach((score, j) => { normalizedRetrieval[present[j]] = score; });
+  const missingRetrieval = present.length > 0 ? scoreBounds(present.map(i => normalizedRetrieval[i])).min : 0;
+
+  results.forEach((result, i) => {
+    const retrieval = normalizedRetrieval[i] ?? missingRetrieval;
+    result._rerank_fused_score = weight * normalizedRerank[i] + (1 - weight) * retrieval;
+    result._rerank_fusion = { method, rerankScore: normalizedRerank[i], retrievalScore: normalizedRetrieval[i] };
+  });
+  return results;
+}
+
+// ====================================================================
+// DOCUMENT TEXT HELPERS
+// ====================================================================
+
+const MISSING_TEXT_POLICIES = ['error', 'skip'];
+
+/**
+ * Build the function that turns an input document into the text sent to the model
+ * @param {Object} options
+ * @param {string|null} [options.textField=null] - Field or dotted path holding the text (default 'text')
+ * @param {string|Function|null} [options.textTemplate=null] - Template such as '{title}\n{body}'
+ *   (placeholders are field paths), or a function (doc, index) => string. Takes precedence over textField.
+ * @param {string} [options.missingText='error'] - 'error' | 'skip' for documents without text
+ * @returns {{extract: (doc: string|Object, index: number) => string|null, missingText: string}}
+ *   `extract` returns null when the document has no usable text
+ */
+function resolveTextOptions({ textField = null, textTemplate = null, missingText = 'error' }) {
+  if (!MISSING_TEXT_POLICIES.includes(missingText)) {
+    throw new InvalidInputError(`Unknown missingText policy "${missingText}". Expected one of: ${MISSING_TEXT_POLICIES.join(', ')}`, { param: 'missingText' });
+  }
+  if (textTemplate !== null && typeof textTemplate !== 'string' && typeof textTemplate !== 'function') {
+    throw new InvalidInputError('textTemplate must be a template string or a function.', { param: 'textTemplate' });
+  }
+
+  const usable = (text) => (typeof text === 'string' && text.trim() !== '' ? text : null);
+  const field = textField || 'text';
+
+  const fromObject = typeof textTemplate === 'function'
+    ? (doc, index) => textTemplate(doc, index)
+    : typeof textTemplate === 'string'
+      ? (doc) => {
+        // A template with none of its fields present counts as missing text
+        let found = 0;
+        const text = textTemplate.replace(/\{([^{}]+)\}/g, (_, fieldPath) => {
+          const value = getFieldValue(doc, fieldPath.trim());
+          if (value === undefined || value === null) return '';
+          found++;
+          return String(value);
+        });
+        return found > 0 ? text : null;
+      }
+      : (doc) => getFieldValue(doc, field);
+
+  return {
+    extract: (doc, index) => usable(typeof doc === 'string' ? doc : doc && fromObject(doc, index)),
+    missingText
+  };
+}
+
+// ====================================================================
+// DIVERSITY HELPERS
+// ====================================================================
+
+const DIVERSITY_SIMILARITIES = ['token-overlap', 'ngram'];
+
+/**
+ * Normalize the `diversity` option of rerank() into a full configuration
+ * @param {boolean|Object} diversity - true for defaults, or a partial configuration object
+ * @returns {{lambda: number, similarity: string, ngramSize: number, duplicateThreshold: number|null}}
+ */
+function resolveDiversityOptions(diversity) {
+  const {
+    lambda = 0.7,
+    similarity = 'token-overlap',
+    ngramSize = 3,
+    duplicateThreshold = null
+  } = diversity === true ? {} : diversity;
+
+  if (!(lambda >= 0 && lambda <= 1)) {
+    throw new InvalidInputError(`Diversity lambda must be between 0 and 1, got ${lambda}`, { param: 'diversity' });
+  }
+  if (!DIVERSITY_SIMILARITIES.includes(similarity)) {
+    throw new InvalidInputError(`Unknown diversity similarity "${similarity}". Expected one of: ${DIVERSITY_SIMILARITIES.join(', ')}`, { param: 'diversity' });
+  }
+  if (!(Number.isInteger(ngramSize) && ngramSize > 0)) {
+    throw new InvalidInputError(`Diversity ngramSize must be a positive integer, got ${ngramSize}`, { param: 'diversity' });
+  }
+  if (duplicateThreshold !== null && !(duplicateThreshold > 0 && duplicateThreshold <= 1)) {
+    throw new InvalidInputError(`Diversity duplicateThreshold must be in (0, 1], got ${duplicateThreshold}`, { param: 'diversity' });
+  }
+
+  return { lambda, similarity, ngramSize, duplicateThreshold };
+}
+
+/**
+ * Feature set of a text for Jaccard similarity: lowercase word tokens, or character n-grams
+ * @param {string} text - Document text
+ * @param {string} similarity - 'token-overlap' or 'ngram'
+ * @param {number} ngramSize - Characters per n-gram
+ * @returns {Set<string>}
+ */
+function textFeatures(text, similarity, ngramSize) {
+  const tokens = String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (similarity === 'token-overlap') return new Set(tokens);
+
+  const normalized = tokens.join(' ');
+  const grams = new Set();
+  for (let i = 0; i + ngramSize <= normalized.length; i++) {
+    grams.add(normalized.slice(i, i + ngramSize));
+  }
+  // Texts shorter than one n-gram are compared as a whole
+  if (grams.size === 0 && normalized) grams.add(normalized);
+  return grams;
+}
+
+/**
+ * Jaccard similarity of two feature sets (1 = identical, 0 = nothing shared)
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number}
+ */
+function jaccardSimilarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let shared = 0;
+  for (const feature of small) {
+    if (large.has(feature)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Collapse near-duplicates and reorder by maximal marginal relevance (MMR).
+ *
+ * 1. Walking the ranked list best first, a result whose similarity to an already kept result
+ *    reaches `duplicateThreshold` is folded into that result's `_rerank_duplicates`.
+ * 2. MMR then picks results one at a time by
+ *    lambda × relevance − (1 − lambda) × (max similarity to the results already picked),
+ *    with relevance min-max normalized over the candidates. lambda = 1 keeps the relevance order.
+ *
+ * @param {Array<Object>} ranked - Results sorted best first
+ * @param {number} topK - Number of results to keep
+ * @param {Object} config - Resolved diversity configuration (see resolveDiversityOptions)
+ * @returns {Array<Object>} Up to topK results in MMR order, each with `_rerank_mmr_score`
+ */
+function diversifyResults(ranked, topK, { lambda, similarity, ngramSize, duplicateThreshold }) {
+  const features = new Map(ranked.map(result => [result, textFeatures(result._rerank_text ?? result.text, similarity, ngramSize)]));
+
+  // --- Near-duplicate collapsing ---
+  let candidates = ranked;
+  if (duplicateThreshold !== null) {
+    candidates = [];
+    for (const result of ranked) {
+      let best = null;
+      let bestSimilarity = -1;
+      for (const kept of candidates) {
+        const value = jaccardSimilarity(features.get(kept), features.get(result));
+        if (value > bestSimilarity) {
+          best = kept;
+          bestSimilarity = value;
+        }
+      }
+
+      if (best && bestSimilarity >= duplicateThreshold) {
+        best._rerank_duplicates.push({ ...result, _rerank_similarity: bestSimilarity });
+      } else {
+        result._rerank_duplicates = [];
+        candidates.push(result);
+      }
+    }
+  }
+
+  // --- Maximal marginal relevance ---
+  const scores = candidates.map(rankScore);
+  const { min, max } = scoreBounds(scores);
+  const range = max - min;
+  const relevance = new Map(candidates.map((result, i) => [result, range > 0 ? (scores[i] - min) / range : 1]));
+
+  const selected = [];
+  const maxSimilarity = new Map(candidates.map(result => [result, 0]));
+  const remaining = [...candidates];
+
+  while (selected.length < topK && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+    remaining.forEach((result, i) => {
+      const mmr = lambda * relevance.get(result) - (1 - lambda) * maxSimilarity.get(result);
+      if (mmr > bestScore) {
+        bestIndex = i;
+        bestScore = mmr;
+      }
+    });
+
+    const [picked] = remaining.splice(bestIndex, 1);
+    picked._rerank_mmr_score = bestScore;
+    selected.push(picked);
+
+    for (const result of remaining) {
+      const value = jaccardSimilarity(features.get(picked), features.get(result));
+      if (value > maxSimilarity.get(result)) maxSimilarity.set(result, value);
+    }
+  }
+
+  return selected;
+}
+
+// ====================================================================
+// EXPLANATION HELPERS
+// ====================================================================
+
+const EXPLAIN_METHODS = ['sentence', 'leave-one-out'];
+
+/**
+ * Normalize the `explain` option of rerank() into a full configuration
+ * @param {boolean|Object} explain - true for defaults, or a partial configuration object
+ * @returns {{method: string, topSpans: number, maxSentences: number}}
+ */
+function resolveExplainOptions(explain) {
+  const {
+    method = 'sentence',
+    topSpans = 3,
+    maxSentences = 64
+  } = explain === true ? {} : explain;
+
+  if (!EXPLAIN_METHODS.includes(method)) {
+    throw new InvalidInputError(`Unknown explain method "${method}". Expected one of: ${EXPLAIN_METHODS.join(', ')}`, { param: 'explain' });
+  }
+  if (!(Number.isInteger(topSpans) && topSpans > 0)) {
+    throw new InvalidInputError(`Explain topSpans must be a positive integer, got ${topSpans}`, { param: 'explain' });
+  }
+  if (!(Number.isInteger(maxSentences) && maxSentences > 0)) {
+    throw new InvalidInputError(`Explain maxSentences must be a positive integer, got ${maxSentences}`, { param: 'explain' });
+  }
+
+  return { method, topSpans, maxSentences };
+}
+
+/**
+ * Split text into sentences with character offsets. Surrounding whitespace is trimmed,
+ * so every span is an exact substring: text.slice(start, end) === span.text.
+ * @param {string} text - Text to split
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+function splitSentences(text) {
+  const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+  const spans = [];
+  for (const { segment, index } of segmenter.segment(text)) {
+    const start = index + (segment.length - segment.trimStart().length);
+    const end = index + segment.trimEnd().length;
+    if (end > start) spans.push({ text: text.slice(start, end), start, end });
+  }
+  return spans;
+}
+
+// ====================================================================
+// STREAMING HELPERS
+// ====================================================================
+
+/**
+ * Fixed-size min-heap that keeps the K best results seen so far.
+ * Ties are broken by corpus id, so the earlier document wins like in rerank().
+ */
+class TopKHeap {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = [];
+  }
+
+  // True if result `a` ranks below result `b`
+  #isWorse(a, b) {
+    return a._rerank_score < b._rerank_score
+      || (a._rerank_score === b._rerank_score && a._rerank_corpus_id > b._rerank_corpus_id);
+  }
+
+  #swap(i, j) {
+    [this.items[i], this.items[j]] = [this.items[j], this.items[i]];
+  }
+
+  /**
+   * Offer a result to the heap; it is kept only if it beats the current worst
+   * @param {Object} result - Result object with _rerank_score and _rerank_corpus_id
+   */
+  push(result) {
+    if (this.capacity <= 0) return;
+
+    if (this.items.length < this.capacity) {
+      this.items.push(result);
+      let i = this.items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!this.#isWorse(this.items[i], this.items[parent])) break;
+        this.#swap(i, parent);
+        i = parent;
+      }
+      return;
+    }
+
+    if (!this.#isWorse(this.items[0], result)) return;
+
+    // Replace the worst item and sift it down
+    this.items[0] = result;
+    let i = 0;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < this.items.length && this.#isWorse(this.items[left], this.items[smallest])) smallest = left;
+      if (right < this.items.length && this.#isWorse(this.items[right], this.items[smallest])) smallest = right;
+      if (smallest === i) break;
+      this.#swap(i, smallest);
+      i = smallest;
+    }
+  }
+
+  /**
+   * Lowest score currently kept, or null while the heap is not full
+   * @returns {number|null}
+   */
+  threshold() {
+    return this.items.length < this.capacity ? null : this.items[0]._rerank_score;
+  }
+
+  /**
+   * Copy of the kept results, best first
+   * @returns {Array<Object>}
+   */
+  toSortedArray() {
+    return [...this.items].sort(compareResults);
+  }
+}
+
+/**
+ * Handle for a streaming rerank started by NativeEmbeddingReranker.rerankStream().
+ * 
+ * EVENTS:
+ * - 'progress': { processed, batches, elapsedMs, threshold } after every scored batch
+ * - 'end': final top-K results, best first
+ * - 'error': the error that rejected `done`
+ * 
+ * Await `stream.done` for the final results, or follow the events alone: a failure
+ * rejects `done` and is emitted as 'error', and an un-awaited `done` never surfaces
+ * as an unhandled rejection. The failure is still logged when neither is observed.
+ */
+class RerankStream extends EventEmitter {
+  #heap;
+
+  constructor(heap) {
+    super();
+    this.processed = 0;
+    this.batches = 0;
+    this.#heap = heap;
+    this.done = null;
+  }
+
+  /**
+   * Current top-K results, best first. Safe to call at any time while the stream runs.
+   * @returns {Array<Object>}
    */
-  static getCachedModels() {
-    return Array.from(ModelLoader.#models.keys());
+  snapshot() {
+    return this.#heap.toSortedArray();
+  }
+}
+
+/**
+ * Score a result is ranked by: the fused score when fusion is on, else the rerank score
+ * @param {Object} result - Rerank result
+ * @returns {number}
+ */
+function rankScore(result) {
+  return result._rerank_fused_score ?? result._rerank_score;
+}
+
+/**
+ * Order two results best first; equal scores fall back to input order, so pages are stable
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareResults(a, b) {
+  return rankScore(b) - rankScore(a) || a._rerank_corpus_id - b._rerank_corpus_id;
+}
+
+/**
+ * Sort results (best first), drop those below the score cutoffs and return one page.
+ * @param {Array<Object>} results - Results with _rerank_score
+ * @param {Object} ranking
+ * @param {number} ranking.topK - Page size (Infinity = everything)
+ * @param {number} [ranking.offset=0] - Ranked results skipped before the page
+ * @param {number|null} [ranking.minScore=null] - Drop results scoring below this
+ * @param {number|null} [ranking.relativeCutoff=null] - Drop results scoring below relativeCutoff × the best score
+ *   (after minScore). Skipped when the best score is 0 or negative, where a fraction of it is meaningless.
+ * @param {Object|null} [ranking.diversityConfig=null] - Resolved diversity configuration, applied after sorting
+ * @returns {Array<Object>}
+ */
+function rankResults(results, { topK, offset = 0, minScore = null, relativeCutoff = null, diversityConfig = null }) {
+  let ranked = results.sort(compareResults);
+
+  if (minScore !== null) {
+    ranked = ranked.filter(result => rankScore(result) >= minScore);
+  }
+  // Only the best score matters here, so rerankStream() gets the same cutoff from its top-K heap
+  if (relativeCutoff !== null && ranked.length > 0 && rankScore(ranked[0]) > 0) {
+    const cutoff = rankScore(ranked[0]) * relativeCutoff;
+    ranked = ranked.filter(result => rankScore(result) >= cutoff);
+  }
+
+  if (diversityConfig) {
+    // MMR picks in order, so pick through the end of the requested page
+    return diversifyResults(ranked, offset + topK, diversityConfig).slice(offset);
   }
+  return ranked.slice(offset, offset + topK);
 }
 
 // ====================================================================
@@ -293,6 +1853,8 @@ class ModelLoader {
  * - 'mixedbread-ai/mxbai-rerank-xsmall-v1' (default): Higher confidence scores, slower
  * - 'Xenova/ms-marco-MiniLM-L-6-v2': Fast, general-purpose reranking
  * - Model switching requires only constructor parameter change
+ * - Per-model defaults (sequence length, score head, batch size, ONNX files) come from
+ *   ModelRegistry; other models can be registered at runtime
  * 
  * TYPICAL WORKFLOW:
  * 1. Constructor: new NativeEmbeddingReranker({ model: 'model-name' })
@@ -301,7 +1863,7 @@ class ModelLoader {
  * 
  * INTEGRATION PATTERNS:
  * - Vector Search + Reranking: Use after initial vector/BM25 retrieval
- * - Multi-stage Ranking: Combine multiple reranking models
+ * - Multi-stage Ranking: Combine multiple reranking models (see EnsembleReranker, CascadeReranker)
  * - A/B Testing: Switch models without changing application logic
  * 
  * PERFORMANCE CHARACTERISTICS:
@@ -318,6 +1880,11 @@ class NativeEmbeddingReranker {
    * @param {string} [options.model='mixedbread-ai/mxbai-rerank-xsmall-v1'] - Model identifier to use:
    *   - 'mixedbread-ai/mxbai-rerank-xsmall-v1': Higher confidence, slower (default)
    *   - 'Xenova/ms-marco-MiniLM-L-6-v2': Fast, general-purpose
+   *   - Any model registered with ModelRegistry.register(), or any compatible cross-encoder
+   *   - An alias set with ModelRegistry.setAlias(), resolved when the reranker is constructed
+   * @param {boolean|null} [options.quantized=null] - Load the quantized (true) or full-precision (false) weights
+   *   - null: The variant the model's ModelRegistry entry names (quantized unless registered otherwise)
+   * @param {string|null} [options.onnxFile=null] - Specific ONNX file to load, e.g. 'onnx/model_fp16.onnx' (overrides `quantized`)
    * @param {string|null} [options.cacheDir=null] - Custom model cache directory
    *   - null: Uses './models' in current working directory
    *   - string: Custom path for model storage
@@ -330,6 +1897,36 @@ class NativeEmbeddingReranker {
    *   - 'warn': Warning messages only
    *   - 'error': Error messages only
    *   - 'silent': No logging
+   * @param {boolean|string|ScoreCalibrator|null} [options.calibration=null] - Fitted score calibration
+   *   - null/false: Raw model scores, fixed 0.5 relevance threshold
+   *   - true: Load/save calibration from 'calibration.json' in the model cache directory
+   *   - string: Path of the calibration JSON file
+   *   - ScoreCalibrator: Shared calibrator instance
+   * @param {string|Function|Object|null} [options.scoreHead=null] - How logits become a score for this instance
+   *   - null: Use the head registered via ModelLoader.registerScoreHead(), else 'auto'
+   *   - See ModelLoader.registerScoreHead() for the accepted values
+   * @param {Function|Object|null} [options.inputTemplate=null] - How query and document are formatted for the model
+   *   - null: Use the template registered via ModelLoader.registerInputTemplate(), else bare pairs
+   *   - See ModelLoader.registerInputTemplate() for the accepted values
+   * @param {boolean|Object|ScoreCache|null} [options.scoreCache=null] - Cache model output per query-document pair
+   *   - null/false: No caching
+   *   - true: In-memory LRU cache with default limits
+   *   - object: { maxEntries = 10000, ttlMs = null, persist = false, filePath = null }
+   *     - persist: Save to 'score-cache.json' in the model cache directory (or `filePath`)
+   *   - ScoreCache: Shared cache instance
+   * @param {boolean|number|Object|null} [options.workers=null] - Run inference on a pool of worker threads
+   *   - null/false: Inference on the main thread
+   *   - true: Pool of (cores - 1) workers
+   *   - number: Pool size
+   *   - object: { size, warmStart = true, gracefulShutdown = true, shutdownTimeoutMs = 30000 }
+   *     - warmStart: Load the model in every worker during initialize() instead of on first use
+   *     - gracefulShutdown: Let queued batches finish on dispose() (up to shutdownTimeoutMs)
+   * @param {boolean|Object} [options.offline=false] - Strict offline mode: never download, verify local files first
+   *   - false: Download missing model files on first use
+   *   - true: Load only from the cache directory; fail naming any missing required file
+   *   - object: { requireManifest = false, manifestPath = null, verifyChecksums = true }
+   *     - requireManifest: Fail when the model folder has no manifest.json (see model-manifest.js)
+   *     - verifyChecksums: Check SHA-256 checksums against the manifest (false checks sizes only)
    * 
    * @example
    * // Default MixedBread model with info logging
@@ -360,10 +1957,19 @@ class NativeEmbeddingReranker {
       cacheDir = null, 
       model = 'mixedbread-ai/mxbai-rerank-xsmall-v1', // Default model
       logger = null, // Allow custom logger
-      logLevel = 'info' // Default log level
+      logLevel = 'info', // Default log level
+      calibration = null, // Opt-in score calibration
+      scoreHead = null, // Optional per-instance score head
+      scoreCache = null, // Opt-in query-document score cache
+      workers = null, // Opt-in worker-thread inference pool
+      inputTemplate = null, // Optional per-instance query/document input template
+      offline = false, // Opt-in strict offline mode
+      quantized = null, // ONNX variant (null = registry default)
+      onnxFile = null // Specific ONNX file, overrides quantized
     } = options;
 
-    this.model = model; // Store the model name
+    this.model = ModelRegistry.resolveAlias(model); // Store the model name (aliases resolve once, here)
+    this.alias = this.model !== model ? model : null;
     this.cacheDir = cacheDir;
     this.logLevel = logLevel; // <-- Add this line
 
@@ -375,8 +1981,81 @@ class NativeEmbeddingReranker {
     this.modelLoader = new ModelLoader({ 
       modelName: this.model, 
       cacheDir: this.cacheDir,
-      logger: this.logger // Pass logger down to ModelLoader
+      logger: this.logger, // Pass logger down to ModelLoader
+      scoreHead,
+      inputTemplate,
+      offline,
+      quantized,
+      onnxFile
     });
+
+    // Recommended batch size from the model registry, used when a call sets none
+    this.defaultBatchSize = this.modelLoader.modelInfo?.batchSize ?? 128;
+
+    // Calibration is applied inside ModelLoader.getScores(), so every rerank path sees it
+    this.calibrator = this.#createCalibrator(calibration);
+    this.modelLoader.calibrator = this.calibrator;
+
+    this.scoreCache = this.#createScoreCache(scoreCache);
+    this.modelLoader.scoreCache = this.scoreCache;
+
+    this.workerOptions = this.#resolveWorkerOptions(workers);
+    this.inferencePool = this.workerOptions && new InferencePool({
+      modelName: this.model,
+      cacheDir: this.modelLoader.cacheDir,
+      offline: this.modelLoader.offline,
+      modelConfig: this.modelLoader.getWorkerConfig(),
+      size: this.workerOptions.size,
+      logger: this.logger
+    });
+    this.modelLoader.inferencePool = this.inferencePool;
+  }
+
+  /**
+   * Resolve the `workers` constructor option into a full pool configuration (or null)
+   * @param {boolean|number|Object|null} workers
+   * @returns {{size: number|null, warmStart: boolean, gracefulShutdown: boolean, shutdownTimeoutMs: number}|null}
+   */
+  #resolveWorkerOptions(workers) {
+    if (!workers) return null;
+
+    const {
+      size = null,
+      warmStart = true,
+      gracefulShutdown = true,
+      shutdownTimeoutMs = 30000
+    } = typeof workers === 'number' ? { size: workers } : (workers === true ? {} : workers);
+
+    return { size, warmStart, gracefulShutdown, shutdownTimeoutMs };
+  }
+
+  /**
+   * Resolve the `calibration` constructor option into a ScoreCalibrator (or null)
+   * @param {boolean|string|ScoreCalibrator|null} calibration
+   * @returns {ScoreCalibrator|null}
+   */
+  #createCalibrator(calibration) {
+    if (!calibration) return null;
+    if (calibration instanceof ScoreCalibrator) return calibration;
+
+    const filePath = typeof calibration === 'string'
+      ? calibration
+      : path.join(this.modelLoader.cacheDir, 'calibration.json');
+    return new ScoreCalibrator({ filePath, logger: this.logger });
+  }
+
+  /**
+   * Resolve the `scoreCache` constructor option into a ScoreCache (or null)
+   * @param {boolean|Object|ScoreCache|null} scoreCache
+   * @returns {ScoreCache|null}
+   */
+  #createScoreCache(scoreCache) {
+    if (!scoreCache) return null;
+    if (scoreCache instanceof ScoreCache) return scoreCache;
+
+    const { maxEntries, ttlMs, persist = false, filePath = null } = scoreCache === true ? {} : scoreCache;
+    const resolvedPath = filePath || (persist ? path.join(this.modelLoader.cacheDir, 'score-cache.json') : null);
+    return new ScoreCache({ maxEntries, ttlMs, filePath: resolvedPath, logger: this.logger });
   }
 
   /**
@@ -385,15 +2064,7 @@ class NativeEmbeddingReranker {
    * @returns {Object} Logger object with debug, info, warn, error methods
    */
   createDefaultLogger(level) {
-    const levels = { 'debug': 1, 'info': 2, 'warn': 3, 'error': 4, 'silent': 5 };
-    const currentLevel = levels[level] || 2;
-    
-    return {
-      debug: (message) => currentLevel <= 1 && console.debug(`[DEBUG] ${message}`),
-      info:  (message) => currentLevel <= 2 && console.info(`[INFO] ${message}`),
-      warn:  (message) => currentLevel <= 3 && console.warn(`[WARN] ${message}`),
-      error: (message) => currentLevel <= 4 && console.error(`[ERROR] ${message}`)
-    };
+    return createConsoleLogger(level);
   }
 
   /**
@@ -401,9 +2072,10 @@ class NativeEmbeddingReranker {
    * 
    * Downloads model files on first run and loads them into memory.
    * Subsequent calls with the same model name use cached instances.
+   * With a worker pool and `warmStart`, also loads the model in every worker.
    * 
    * @returns {Promise<void>}
-   * @throws {Error} If model loading fails
+   * @throws {ModelLoadError} If model loading fails
    * 
    * @example
    * const reranker = new NativeEmbeddingReranker();
@@ -412,9 +2084,309 @@ class NativeEmbeddingReranker {
   async initialize() {
     this.logger.info('Initializing NativeEmbeddingReranker...');
     await this.modelLoader.initialize();
+    if (this.inferencePool && this.workerOptions.warmStart) {
+      await this.inferencePool.start();
+    }
     this.logger.info('Reranker ready');
   }
 
+  /**
+   * Apply defaults to the options shared by rerank(), rerankMany() and rerankStream()
+   * @param {Object} options - Caller options
+   * @returns {Object} Resolved options; `checkAbort` is bound to the call's signal and deadline
+   */
+  #resolveRerankOptions(options) {
+    const {
+      topK = 4,
+      batchSize = this.defaultBatchSize,
+      windowing = null,
+      returnLogits = false,
+      dynamicBatching = null,
+      signal = null,
+      timeoutMs = null,
+      partialOnAbort = false,
+      fusion = null,
+      diversity = null,
+      textField = null,
+      textTemplate = null,
+      missingText = 'error',
+      minScore = null,
+      relativeCutoff = null,
+      offset = 0,
+      limit = null,
+      explain = null,
+      inputTemplate = null
+    } = options;
+
+    validateRerankOptions({ topK, batchSize, offset, limit, minScore, relativeCutoff });
+
+    return {
+      // `limit` is the page size when paging with `offset`; otherwise topK is
+      topK: limit ?? topK,
+      batchSize,
+      windowConfig: resolveWindowingOptions(windowing),
+      returnLogits,
+      batchingConfig: dynamicBatching ? resolveDynamicBatchingOptions(dynamicBatching) : null,
+      checkAbort: createAbortCheck({ signal, timeoutMs }),
+      partialOnAbort,
+      fusionConfig: fusion ? resolveFusionOptions(fusion) : null,
+      diversityConfig: diversity ? resolveDiversityOptions(diversity) : null,
+      textConfig: resolveTextOptions({ textField, textTemplate, missingText }),
+      offset,
+      minScore,
+      relativeCutoff,
+      explainConfig: explain ? resolveExplainOptions(explain) : null,
+      inputTemplate
+    };
+  }
+
+  /**
+   * Score one or more (query, documents) groups, packing the query-passage pairs of all
+   * groups into shared batches. Results keep their input order; sorting is up to the caller.
+   * @param {Array<{query: string, documents: (string|Object)[]}>} groups - Groups to score
+   * @param {Object} options
+   * @param {number} options.batchSize - Number of passages to process in a single batch
+   * @param {Object|null} options.windowConfig - Resolved windowing configuration, or null
+   * @param {boolean} [options.returnLogits=false] - Attach raw logits and class distribution to each result
+   * @param {Object|null} [options.batchingConfig=null] - Resolved dynamic batching configuration, or null
+   * @param {Function|null} [options.checkAbort=null] - Checked before every batch (see createAbortCheck)
+   * @param {Object} [options.textConfig] - Resolved text extraction configuration (see resolveTextOptions)
+   * @param {Function|Object|false|null} [options.inputTemplate=null] - Per-call input template
+   * @returns {Promise<Array<Array<Object>>>} One unsorted result array per group
+   * @throws {AbortError} When aborted; `partialResults` holds the fully scored documents per group
+   * @throws {InvalidInputError} If a document has no text and the missingText policy is 'error'
+   */
+  async #scoreGroups(groups, options) {
+    // Keep the model loaded (reloading it if the model cache evicted it) for the whole call
+    const unpin = await this.modelLoader.pin();
+    try {
+      return await this.#scoreLoadedGroups(groups, options);
+    } finally {
+      unpin();
+    }
+  }
+
+  /**
+   * Body of #scoreGroups(), run while the model is pinned
+   * @param {Array<{query: string, documents: (string|Object)[]}>} groups - Groups to score
+   * @param {Object} options - See #scoreGroups()
+   * @returns {Promise<Array<Array<Object>>>}
+   */
+  async #scoreLoadedGroups(groups, { batchSize, windowConfig, returnLogits = false, batchingConfig = null, checkAbort = null, textConfig = resolveTextOptions({}), inputTemplate = null }) {
+    // --- Passage Preparation ---
+
+    // Each document becomes one passage, or several overlapping windows when windowing is on
+    const passages = [];
+    const scoredTexts = groups.map(({ documents }) => new Array(documents.length).fill(null));
+    let skipped = 0;
+    groups.forEach(({ query, documents }, groupIndex) => {
+      documents.forEach((doc, docIndex) => {
+        const text = textConfig.extract(doc, docIndex);
+        if (text === null) {
+          if (textConfig.missingText === 'error') {
+            throw new InvalidInputError(`Document ${docIndex}${groups.length > 1 ? ` of query ${groupIndex}` : ''} has no text to score. Set textField/textTemplate, or missingText: 'skip'.`, { param: 'documents' });
+          }
+          skipped++;
+          return;
+        }
+        scoredTexts[groupIndex][docIndex] = text;
+
+        if (!windowConfig) {
+          passages.push({ groupIndex, docIndex, query, text });
+          return;
+        }
+
+        const windows = this.modelLoader.createPassageWindows(query, text, { ...windowConfig, inputTemplate });
+        windows.forEach((window, windowIndex) => passages.push({ groupIndex, docIndex, query, windowIndex, ...window }));
+      });
+    });
+
+    if (skipped > 0) {
+      this.logger.warn(`Skipped ${skipped} documents without text`);
+    }
+    if (windowConfig) {
+      this.logger.debug(`Split documents into ${passages.length} passage windows`);
+    }
+
+    // --- Core Batching Logic ---
+    
+    // 1. Create an array to hold the scoring result of every passage
+    const passageScores = new Array(passages.length);
+
+    // 2. Plan the batches: input-order chunks of batchSize, or length buckets under a token budget
+    let batches;
+    if (batchingConfig) {
+      const lengths = passages.map(passage => this.modelLoader.countPairTokens(passage.query, passage.text, { inputTemplate }));
+      batches = planLengthBatches(lengths, { tokenBudget: batchingConfig.tokenBudget, maxBatchSize: batchSize });
+      this.logger.debug(`Dynamic batching: ${passages.length} passages in ${batches.length} length-bucketed batches`);
+    } else {
+      batches = [];
+      for (let i = 0; i < passages.length; i += batchSize) {
+        batches.push(Array.from({ length: Math.min(batchSize, passages.length - i) }, (_, j) => i + j));
+      }
+    }
+
+    // 3. Score each batch, storing results under the passage's original position
+    const scoreBatch = async (batch, b) => {
+      this.logger.debug(`Processing batch ${b + 1}/${batches.length}: ${batch.length} passages`);
+
+      // Create query-passage pairs for the current batch
+      const queryDocPairs = batch.map(p => [passages[p].query, passages[p].text]);
+
+      // Get scores for the current batch
+      const batchScores = await this.modelLoader.getScores(queryDocPairs, { inputTemplate });
+
+      batchScores.forEach((result, j) => {
+        passageScores[batch[j]] = result;
+      });
+    };
+
+    // One runner scores batches in order; with a worker pool, one runner per worker keeps
+    // them all busy. Runners check for cancellation before taking the next batch.
+    let nextBatch = 0;
+    let abortError = checkAbort?.() ?? null;
+    const runner = async () => {
+      while (nextBatch < batches.length && !abortError) {
+        abortError = checkAbort?.() ?? null;
+        if (abortError) break;
+
+        const b = nextBatch++;
+        await scoreBatch(batches[b], b);
+      }
+    };
+    const concurrency = this.inferencePool ? Math.min(this.inferencePool.size, batches.length) : 1;
+    await Promise.all(Array.from({ length: concurrency }, runner));
+
+    // 4. Group passage scores back into one result per document, using the original index
+    const windowsByDoc = groups.map(({ documents }) => documents.map(() => []));
+    const incomplete = groups.map(() => new Set());
+    passages.forEach((passage, p) => {
+      if (!passageScores[p]) {
+        // Only possible after an abort: leave the document out of the partial results
+        incomplete[passage.groupIndex].add(passage.docIndex);
+        return;
+      }
+      const { score, logits, distribution } = passageScores[p];
+      windowsByDoc[passage.groupIndex][passage.docIndex].push({ ...passage, score, logits, distribution });
+    });
+
+    const groupResults = windowsByDoc.map((groupWindows, groupIndex) => {
+      const { documents } = groups[groupIndex];
+
+      return groupWindows.flatMap((windows, originalIndex) => {
+        // Skipped (no text) or, after an abort, not fully scored
+        if (windows.length === 0 || incomplete[groupIndex].has(originalIndex)) return [];
+
+        const doc = documents[originalIndex];
+        const result = {
+          // --- API Namespacing: Use underscores to prevent field collisions ---
+          _rerank_corpus_id: originalIndex,
+          _rerank_score: windows[0].score,
+          ...(typeof doc === 'string' ? { text: doc } : doc),
+        };
+
+        // Record what the model saw when it is not simply the document's `text`
+        const scoredText = scoredTexts[groupIndex][originalIndex];
+        if (typeof doc !== 'string' && doc.text !== scoredText) {
+          result._rerank_text = scoredText;
+        }
+
+        const best = windows.reduce((a, b) => (b.score > a.score ? b : a));
+
+        if (windowConfig) {
+          result._rerank_score = poolWindowScores(windows.map(w => w.score), windowConfig.pooling, windowConfig.topN);
+          result._rerank_windows = windows.length;
+          result._rerank_best_window = {
+            index: best.windowIndex,
+            score: best.score,
+            text: best.text,
+            start: best.start,
+            end: best.end
+          };
+        }
+
+        if (returnLogits) {
+          // With windowing, these belong to the best window
+          result._rerank_logits = best.logits;
+          result._rerank_distribution = best.distribution;
+        }
+
+        if (this.calibrator) {
+          const threshold = this.calibrator.getThreshold(this.model);
+          result._rerank_label = result._rerank_score > threshold ? 'RELEVANT' : 'NOT_RELEVANT';
+        }
+
+        return [result];
+      });
+    });
+
+    if (abortError) {
+      abortError.partialResults = groupResults;
+      throw abortError;
+    }
+
+    return groupResults;
+  }
+
+  /**
+   * Attach sentence-level explanations to ranked results (see the `explain` option of rerank())
+   * @param {Array<{query: string, results: Array<Object>}>} groups - Ranked results and their query
+   * @param {Object} options
+   * @param {Object} options.explainConfig - Resolved explain configuration
+   * @param {number} options.batchSize - Number of passages to process in a single batch
+   * @param {Function|null} [options.checkAbort=null] - Checked before every batch (see createAbortCheck)
+   * @param {Function|Object|false|null} [options.inputTemplate=null] - Per-call input template
+   * @returns {Promise<void>}
+   * @throws {AbortError} When aborted; results keep their scores but may lack explanations
+   */
+  async #explainResults(groups, { explainConfig, batchSize, checkAbort = null, inputTemplate = null }) {
+    const { method, topSpans, maxSentences } = explainConfig;
+
+    // One passage per sentence, or the text without that sentence; leave-one-out also
+    // rescores the full text so the deltas compare like with like (same truncation)
+    const passages = [];
+    const explained = [];
+    for (const { query, results } of groups) {
+      for (const result of results) {
+        const text = result._rerank_text ?? result.text;
+        const sentences = splitSentences(text).slice(0, maxSentences);
+        const first = passages.length;
+
+        if (method === 'leave-one-out') {
+          passages.push([query, text]);
+          sentences.forEach(({ start, end }) => passages.push([query, text.slice(0, start) + text.slice(end)]));
+        } else {
+          sentences.forEach(sentence => passages.push([query, sentence.text]));
+        }
+        explained.push({ result, sentences, first });
+      }
+    }
+
+    const scores = [];
+    for (let i = 0; i < passages.length; i += batchSize) {
+      const abortError = checkAbort?.() ?? null;
+      if (abortError) throw abortError;
+
+      const batch = await this.modelLoader.getScores(passages.slice(i, i + batchSize), { inputTemplate });
+      scores.push(...batch.map(result => result.score));
+    }
+
+    for (const { result, sentences, first } of explained) {
+      const spans = sentences.map((sentence, s) => ({
+        ...sentence,
+        // Sentence score, or how much the document score drops without the sentence
+        score: method === 'leave-one-out' ? scores[first] - scores[first + 1 + s] : scores[first + s]
+      }));
+
+      result._rerank_explanation = {
+        method,
+        spans: spans.sort((a, b) => b.score - a.score || a.start - b.start).slice(0, topSpans)
+      };
+    }
+
+    this.logger.debug(`Explained ${explained.length} results with ${passages.length} extra passages`);
+  }
+
   /**
    * Reranks a list of documents based on semantic relevance to the query using cross-encoder models.
    * Now with batching support for scalability.
@@ -426,16 +2398,90 @@ class NativeEmbeddingReranker {
    *   - Array of objects: [{text: "doc1"}, {text: "doc2", metadata: "..."}, ...]
    *   - Mixed format supported
    * @param {Object} [options] - Optional configuration object
-   * @param {number} [options.topK=4] - Maximum number of top-ranked documents to return
-   * @param {number} [options.batchSize=128] - Number of documents to process in a single batch
+   * @param {number} [options.topK=4] - Maximum number of top-ranked documents to return (Infinity = full ranking)
+   * @param {number} [options.minScore=null] - Drop documents scoring below this (the fused score with fusion)
+   * @param {number} [options.relativeCutoff=null] - Drop documents scoring below relativeCutoff (0-1) × the best score;
+   *   skipped when the best score is 0 or negative (e.g. raw logits)
+   * @param {number} [options.offset=0] - Ranked documents to skip, for pagination
+   * @param {number} [options.limit=null] - Page size when paginating (default: topK); ties keep input order,
+   *   so consecutive pages never repeat or miss a document
+   * @param {number} [options.batchSize] - Number of passages to process in a single batch (default: the model's registry batch size, else 128)
+   * @param {boolean|Object} [options.windowing=null] - Split long documents into overlapping token windows
+   *   - null/false: Score each document as one passage (text beyond the model limit is truncated)
+   *   - true: Enable windowing with the defaults below
+   *   - object: { maxTokens, overlap, pooling, topN }
+   *     - maxTokens (default: fill the model input): Max passage tokens per window
+   *     - overlap (default: 32): Tokens shared by consecutive windows
+   *     - pooling (default: 'max'): 'max' | 'mean' | 'top-n-mean' to combine window scores
+   *     - topN (default: 3): Windows averaged by 'top-n-mean'
+   * @param {boolean} [options.returnLogits=false] - Include raw logits and the full class distribution
+   * @param {boolean|Object} [options.dynamicBatching=null] - Group passages of similar token length into batches
+   *   - null/false: Fixed batches of `batchSize` passages in input order
+   *   - true: Enable with the defaults below
+   *   - object: { tokenBudget = 16384 }: Max padded tokens (passages × longest passage) per batch;
+   *     `batchSize` still caps the number of passages
+   * @param {AbortSignal} [options.signal] - Cancels the call; checked between batches
+   * @param {number} [options.timeoutMs] - Deadline for the whole call; checked between batches
+   * @param {boolean} [options.partialOnAbort=false] - On abort, return the top-K of the documents
+   *   scored so far instead of throwing an AbortError
+   * @param {string|Object} [options.fusion=null] - Fuse the cross-encoder score with a first-stage score
+   *   - null: Rank by `_rerank_score` alone
+   *   - string: Field (or dotted path) holding the first-stage score, with the defaults below
+   *   - object: { field, method, weight, normalization, rrfK, higherIsBetter }
+   *     - method (default: 'linear'): 'linear' interpolation or 'rrf' (reciprocal rank fusion)
+   *     - weight (default: 0.5): Share of the cross-encoder score, 0-1; the first-stage score gets the rest
+   *     - normalization (default: 'min-max'): 'min-max' | 'z-score' | 'none', applied per query by 'linear'
+   *     - rrfK (default: 60): Rank offset used by 'rrf'
+   *     - higherIsBetter (default: true): Set false for distances
+   * @param {string} [options.textField='text'] - Field or dotted path holding the text of object documents
+   * @param {string|Function} [options.textTemplate=null] - Build the text from several fields instead:
+   *   a template such as '{title}\n{body}' (placeholders are field paths; missing fields become ''),
+   *   or a function (doc, index) => string
+   * @param {string} [options.missingText='error'] - Documents without text: 'error' throws, 'skip' leaves them out
+   * @param {Function|Object|false} [options.inputTemplate=null] - Query/document input template for this call
+   *   (see ModelLoader.registerInputTemplate()); false sends bare pairs, null uses the model's template
+   * @param {boolean|Object} [options.explain=null] - Explain each returned document with its best sentences
+   *   - null/false: No explanations
+   *   - true: Enable with the defaults below
+   *   - object: { method, topSpans, maxSentences }
+   *     - method (default: 'sentence'): 'sentence' scores each sentence against the query;
+   *       'leave-one-out' scores the document without each sentence (span score = score drop)
+   *     - topSpans (default: 3): Spans returned per document
+   *     - maxSentences (default: 64): Sentences considered per document (bounds the extra inference)
+   * @param {boolean|Object} [options.diversity=null] - Diversify the top-K after scoring
+   *   - null/false: Plain relevance order
+   *   - true: Enable with the defaults below
+   *   - object: { lambda, similarity, ngramSize, duplicateThreshold }
+   *     - lambda (default: 0.7): MMR trade-off, 1 = relevance only, 0 = diversity only
+   *     - similarity (default: 'token-overlap'): 'token-overlap' (word Jaccard) | 'ngram' (character n-gram Jaccard)
+   *     - ngramSize (default: 3): Characters per n-gram for 'ngram'
+   *     - duplicateThreshold (default: null): Similarity at which a result is folded into a better one
    * 
    * OUTPUT FORMAT:
    * @returns {Promise<Array<{
    *   _rerank_corpus_id: number,    // Original index position in input array  
    *   _rerank_score: number,        // Relevance score (higher = more relevant)
+   *   _rerank_windows?: number,     // Number of windows scored (windowing only)
+   *   _rerank_best_window?: {       // Highest scoring window (windowing only)
+   *     index: number, score: number, text: string, start: number, end: number
+   *   },
+   *   _rerank_logits?: number[],    // Raw model logits (returnLogits only)
+   *   _rerank_distribution?: number[], // Softmax over classes, or [1 - p, p] (returnLogits only)
+   *   _rerank_label?: string,       // 'RELEVANT' | 'NOT_RELEVANT' vs. the model threshold (calibration only)
+   *   _rerank_fused_score?: number, // Fused score used for ranking (fusion only)
+   *   _rerank_fusion?: {            // Fusion components (fusion only); retrieval values are null when missing
+   *     method: string, rerankScore?: number, retrievalScore?: number, rerankRank?: number, retrievalRank?: number
+   *   },
+   *   _rerank_text?: string,        // Text sent to the model, when it differs from the `text` field
+   *   _rerank_explanation?: {       // Best supporting sentences (explain only); offsets index the scored text
+   *     method: string, spans: Array<{text: string, start: number, end: number, score: number}>
+   *   },
+   *   _rerank_mmr_score?: number,   // MMR score at the time the result was picked (diversity only)
+   *   _rerank_duplicates?: Object[], // Folded near-duplicates with _rerank_similarity (duplicateThreshold only)
    *   text: string,                 // Document text content
    *   ...originalProperties         // Any additional properties from input objects
-   * }>>} Array of reranked documents, sorted by relevance score (descending)
+   * }>>} Array of reranked documents, sorted by relevance score (descending), by fused score with fusion,
+   *   or in MMR order with diversity
    * 
    * EXAMPLE USAGE:
    * ```javascript
@@ -461,81 +2507,380 @@ class NativeEmbeddingReranker {
    * // Returns: [
    * //   { _rerank_corpus_id: 0, _rerank_score: 0.92, text: "Python is...", id: "doc1", category: "tech" }
    * // ]
+   * 
+   * // Long documents scored as overlapping windows, citing the best passage
+   * const results = await reranker.rerank(query, longDocuments, {
+   *   windowing: { overlap: 64, pooling: 'top-n-mean', topN: 2 }
+   * });
+   * // results[0]._rerank_best_window → { index: 3, score: 0.91, text: "...", start: 1840, end: 2702 }
    * ```
    * 
    * PERFORMANCE NOTES:
    * - MixedBread model (default): ~25-50 documents/second, higher confidence scores
    * - MS-MARCO model: ~90-150 documents/second, score range 0.0-1.0
    * - Batch processing prevents memory issues when handling thousands of documents
-   * - Default batch size is 128 documents per batch for optimal memory usage
-   * - Empty input returns empty array immediately
+   * - Default batch size comes from the model's registry entry (32 for mxbai, 128 for MS-MARCO), else 128
+   * - Windowing multiplies inference cost by the number of windows per document
+   * - A running batch cannot be interrupted; abort and timeout take effect before the next batch
+   * - Empty input returns empty array immediately (after the query and options are validated)
+   * 
+   * @throws {AbortError} If aborted or timed out (unless partialOnAbort); `error.partialResults`
+   *   holds the top-K of the documents scored so far
+   * @throws {InvalidInputError} If the query, documents or options are invalid (before any inference)
+   * @throws {ModelNotInitializedError} If initialize() has not been called
+   * @throws {InferenceError} If tokenization or model execution fails
    */
   async rerank(query, documents, options = {}) {
-    if (!documents || documents.length === 0) {
-      return [];
-    }
+    // Reject bad input before any inference runs
+    validateQuery(query);
+    validateDocuments(documents);
     
     // Destructure options with sensible defaults
-    const { topK = 4, batchSize = 128 } = options;
+    const scoringOptions = this.#resolveRerankOptions(options);
+    if (documents.length === 0) {
+      return [];
+    }
+    const { topK, batchSize, partialOnAbort, fusionConfig, explainConfig } = scoringOptions;
     const start = now();
     
     this.logger.info(`Reranking ${documents.length} documents for query: "${query}" with batch size ${batchSize}`);
 
     try {
-      // --- Core Batching Logic ---
+      // Score every document in batches and build one result per document
+      const [allResults] = await this.#scoreGroups([{ query, documents }], scoringOptions);
+      
+      // --- Final Processing ---
       
-      // 1. Create an array to hold results from all batches
-      let allResults = [];
+      // 5. Fuse with the first-stage scores over the full candidate set, before any slicing
+      if (fusionConfig) applyScoreFusion(allResults, fusionConfig);
+      
+      // 6. Sort all the collected results together, apply the score cutoffs and slice the page
+      //    (diversity collapses near-duplicates and picks the page by MMR instead)
+      const finalTopK = rankResults(allResults, scoringOptions);
 
-      // 2. Loop through the documents in chunks of batchSize
-      for (let i = 0; i < documents.length; i += batchSize) {
-        const chunkStart = i;
-        const chunkEnd = Math.min(i + batchSize, documents.length);
-        
-        // Get the current chunk of documents
-        const chunk = documents.slice(chunkStart, chunkEnd);
-        this.logger.debug(`Processing batch ${Math.floor(i / batchSize) + 1}: documents ${chunkStart + 1}-${chunkEnd}`);
-
-        // Create query-document pairs for the current chunk
-        const queryDocPairs = chunk.map(doc => {
-          const text = typeof doc === 'string' ? doc : doc.text;
-          return [query, text];
-        });
+      // 7. Explain only what is returned; an abort here still returns the scored results
+      if (explainConfig) {
+        try {
+          await this.#explainResults([{ query, results: finalTopK }], scoringOptions);
+        } catch (error) {
+          if (error instanceof AbortError) error.partialResults = [allResults];
+          throw error;
+        }
+      }
 
-        // Get scores for the current chunk
-        const chunkScores = await this.modelLoader.getScores(queryDocPairs);
-
-        // Process and store results for this chunk, making sure to use the original index
-        const chunkResults = chunkScores.map((result, j) => {
-          const originalIndex = chunkStart + j;
-          return {
-            // --- API Namespacing: Use underscores to prevent field collisions ---
-            _rerank_corpus_id: originalIndex,
-            _rerank_score: result.score,
-            ...(typeof documents[originalIndex] === 'string' ? { text: documents[originalIndex] } : documents[originalIndex]),
-          };
-        });
+      const duration = now() - start;
+      this.logger.info(`Reranking ${documents.length} documents to top ${topK} took ${duration.toFixed(2)}ms`);
+      this.logger.debug(`Top result score: ${finalTopK[0]?._rerank_score.toFixed(4) || 'N/A'}`);
+      
+      return finalTopK;
 
-        allResults.push(...chunkResults);
+    } catch (error) {
+      if (error instanceof AbortError) {
+        // Rank what was scored before the abort
+        const [scored] = error.partialResults;
+        if (fusionConfig) applyScoreFusion(scored, fusionConfig);
+        error.partialResults = rankResults(scored, scoringOptions);
+        this.logger.warn(`${error.message} after scoring ${scored.length} of ${documents.length} documents`);
+        if (partialOnAbort) return error.partialResults;
+        throw error;
       }
-      
-      // --- Final Processing ---
-      
-      // 3. Now, sort all the collected results together
-      const reranked = allResults.sort((a, b) => b._rerank_score - a._rerank_score);
-      
-      // 4. Finally, slice to get the topK results
-      const finalTopK = reranked.slice(0, topK);
 
-      const duration = now() - start;
-      this.logger.info(`Reranking ${documents.length} documents to top ${topK} took ${duration.toFixed(2)}ms`);
-      this.logger.debug(`Top result score: ${finalTopK[0]?._rerank_score.toFixed(4) || 'N/A'}`);
-      
-      return finalTopK;
+      this.logger.error(`Reranking failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Reranks the candidates of many queries at once.
+   * 
+   * Query-document pairs from all groups are packed into shared batches, so many small
+   * candidate lists make full use of each inference call. Each group is ranked on its own.
+   * 
+   * @param {string[]} queries - Queries to rerank candidates for
+   * @param {Array<(string|Object)[]>} documentsPerQuery - Candidate documents for each query,
+   *   in the same order as `queries`
+   * @param {Object} [options] - Same options as rerank(), applied per query
+   * @returns {Promise<Array<Array<Object>>>} One ranked list per query, in the same format as rerank()
+   * 
+   * @example
+   * const [aiResults, pythonResults] = await reranker.rerankMany(
+   *   ["How does AI work?", "Python programming"],
+   *   [aiCandidates, pythonCandidates],
+   *   { topK: 3 }
+   * );
+   */
+  async rerankMany(queries, documentsPerQuery, options = {}) {
+    if (!Array.isArray(queries) || !Array.isArray(documentsPerQuery) || queries.length !== documentsPerQuery.length) {
+      throw new InvalidInputError('rerankMany() expects one documents array per query.', { param: 'documentsPerQuery' });
+    }
+    queries.forEach((query, i) => validateQuery(query, `queries[${i}]`));
+    documentsPerQuery.forEach((documents, i) => validateDocuments(documents, { param: `documentsPerQuery[${i}]` }));
+
+    const scoringOptions = this.#resolveRerankOptions(options);
+    const { topK, batchSize, partialOnAbort, fusionConfig, explainConfig } = scoringOptions;
+    const start = now();
+
+    const groups = queries.map((query, i) => ({ query, documents: documentsPerQuery[i] }));
+    const totalDocuments = groups.reduce((sum, group) => sum + group.documents.length, 0);
+
+    this.logger.info(`Reranking ${totalDocuments} documents across ${queries.length} queries with batch size ${batchSize}`);
+
+    try {
+      const allResults = await this.#scoreGroups(groups, scoringOptions);
+
+      // Fuse, sort and slice each query's results independently
+      if (fusionConfig) allResults.forEach(results => applyScoreFusion(results, fusionConfig));
+      const finalResults = allResults.map(results => rankResults(results, scoringOptions));
+
+      if (explainConfig) {
+        try {
+          await this.#explainResults(finalResults.map((results, i) => ({ query: queries[i], results })), scoringOptions);
+        } catch (error) {
+          if (error instanceof AbortError) error.partialResults = allResults;
+          throw error;
+        }
+      }
+
+      const duration = now() - start;
+      this.logger.info(`Reranking ${queries.length} queries to top ${topK} took ${duration.toFixed(2)}ms`);
+
+      return finalResults;
+
+    } catch (error) {
+      if (error instanceof AbortError) {
+        if (fusionConfig) error.partialResults.forEach(results => applyScoreFusion(results, fusionConfig));
+        error.partialResults = error.partialResults.map(results => rankResults(results, scoringOptions));
+        this.logger.warn(`${error.message} while reranking ${queries.length} queries`);
+        if (partialOnAbort) return error.partialResults;
+        throw error;
+      }
+
+      this.logger.error(`Reranking failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Reranks documents from a stream with bounded memory.
+   * 
+   * Documents are pulled from `source` in chunks of `batchSize`, scored, and only the
+   * running top-K is kept, so millions of candidates (e.g. from a database cursor) can be
+   * reranked with flat memory. Scoring starts on the next microtask, so listeners attached
+   * right after the call see every event.
+   * 
+   * @param {string} query - The search query or question to rerank documents against
+   * @param {AsyncIterable<string|Object>|Iterable<string|Object>} source - Documents to rerank:
+   *   an async generator, a Node Readable in object mode, or any (async) iterable
+   * @param {Object} [options] - Same options as rerank()
+   * @returns {RerankStream} EventEmitter with `done` (Promise of the final top-K) and `snapshot()`
+   * 
+   * @example
+   * const stream = reranker.rerankStream(query, db.cursor(), { topK: 10, batchSize: 64 });
+   * stream.on('progress', ({ processed }) => console.log(`${processed} scored`));
+   * setTimeout(() => console.log(stream.snapshot()), 1000); // partial top-K
+   * const results = await stream.done;
+   */
+  rerankStream(query, source, options = {}) {
+    validateQuery(query);
+    const scoringOptions = this.#resolveRerankOptions(options);
+    const { topK, batchSize, checkAbort, partialOnAbort, fusionConfig, diversityConfig, offset, minScore, relativeCutoff, explainConfig } = scoringOptions;
+
+    if (fusionConfig || diversityConfig || offset > 0 || explainConfig) {
+      // Normalization, rank fusion, MMR and paging need every candidate's score up front
+      throw new InvalidInputError('rerankStream() does not support fusion, diversity, offset or explain; use rerank() with the full candidate set.', { param: 'options' });
+    }
+    if (!source || (typeof source[Symbol.asyncIterator] !== 'function' && typeof source[Symbol.iterator] !== 'function')) {
+      throw new InvalidInputError('rerankStream() expects an iterable or async iterable of documents.', { param: 'source' });
+    }
+
+    const heap = new TopKHeap(topK);
+    const stream = new RerankStream(heap);
+
+    const keep = (results) => {
+      // Chunk results are numbered from 0; shift them to their position in the stream
+      for (const result of results) {
+        result._rerank_corpus_id += stream.processed;
+        if (minScore === null || result._rerank_score >= minScore) heap.push(result);
+      }
+    };
+
+    const scoreChunk = async (chunk) => {
+      validateDocuments(chunk, { offset: stream.processed });
+      try {
+        keep((await this.#scoreGroups([{ query, documents: chunk }], scoringOptions))[0]);
+      } catch (error) {
+        // Documents fully scored before an abort still count towards the top-K
+        if (error instanceof AbortError) keep(error.partialResults[0]);
+        throw error;
+      }
+
+      stream.processed += chunk.length;
+      stream.batches++;
+      stream.emit('progress', {
+        processed: stream.processed,
+        batches: stream.batches,
+        elapsedMs: now() - start,
+        threshold: heap.threshold()
+      });
+    };
+
+    const start = now();
+    this.logger.info(`Streaming rerank for query: "${query}" with batch size ${batchSize}`);
+
+    stream.done = Promise.resolve().then(async () => {
+      try {
+        let chunk = [];
+        for await (const doc of source) {
+          const abortError = checkAbort();
+          if (abortError) throw abortError;
+
+          chunk.push(doc);
+          if (chunk.length >= batchSize) {
+            await scoreChunk(chunk);
+            chunk = [];
+          }
+        }
+        if (chunk.length > 0) {
+          await scoreChunk(chunk);
+        }
+
+        const finalTopK = rankResults(heap.toSortedArray(), { topK, relativeCutoff });
+        const duration = now() - start;
+        this.logger.info(`Streaming rerank of ${stream.processed} documents to top ${topK} took ${duration.toFixed(2)}ms`);
+
+        stream.emit('end', finalTopK);
+        return finalTopK;
+
+      } catch (error) {
+        if (error instanceof AbortError) {
+          error.partialResults = rankResults(heap.toSortedArray(), { topK, relativeCutoff });
+          this.logger.warn(`${error.message} after ${stream.processed} streamed documents`);
+          if (partialOnAbort) {
+            stream.emit('end', error.partialResults);
+            return error.partialResults;
+          }
+          throw error;
+        }
+
+        this.logger.error(`Streaming rerank failed: ${error.message}`);
+        throw error;
+      }
+    }).catch((error) => {
+      if (stream.listenerCount('error') > 0) stream.emit('error', error);
+      throw error;
+    });
+    // Callers listening to events only must not get an unhandled rejection from `done`
+    stream.done.catch(() => {});
+
+    return stream;
+  }
+
+  /**
+   * Fit score calibration for the current model from labeled examples.
+   * 
+   * The examples are scored with the raw model output, a temperature or Platt scaling
+   * is fitted to the labels, and the result is stored for this model name. Later
+   * rerank() calls return calibrated scores automatically.
+   * 
+   * @param {Array<{query: string, document: (string|Object), relevant: (boolean|number)}>} examples - Labeled pairs
+   *   (`relevant` is true/false or 1/0), with both relevant and non-relevant examples
+   * @param {Object} [options]
+   * @param {string} [options.method='platt'] - 'temperature' or 'platt'
+   * @param {number} [options.batchSize] - Number of examples to score in a single batch (default: the model's registry batch size, else 128)
+   * @param {boolean} [options.save=true] - Write the calibration file afterwards (if one is configured)
+   * @param {string|null} [options.textField=null] - Document field holding the text, as in rerank()
+   * @param {string|Function|null} [options.textTemplate=null] - Template or function building the text, as in rerank()
+   * @param {string} [options.missingText='error'] - 'error' | 'skip' for examples whose document has no text
+   * @returns {Promise<Object>} The fitted parameters
+   * @throws {RerankerError} If calibration is not enabled (code 'NOT_CONFIGURED'), an example is malformed
+   *   or the examples cannot be fitted (also thrown for custom score heads, which have no logit scale)
+   * 
+   * @example
+   * const reranker = new NativeEmbeddingReranker({ calibration: true });
+   * await reranker.initialize();
+   * await reranker.calibrate([
+   *   { query: "How does AI work?", document: "AI uses algorithms", relevant: true },
+   *   { query: "How does AI work?", document: "Cooking is fun", relevant: false },
+   *   // ...
+   * ], { method: 'platt' });
+   */
+  async calibrate(examples, options = {}) {
+    if (!this.calibrator) {
+      throw new RerankerError('Calibration is not enabled. Pass the "calibration" option to the constructor.', { code: 'NOT_CONFIGURED' });
+    }
+
+    if (!Array.isArray(examples) || examples.length === 0) {
+      throw new InvalidInputError('calibrate() expects a non-empty array of { query, document, relevant } examples.', { param: 'examples' });
+    }
+    examples.forEach((example, i) => {
+      const { query, document, relevant } = example ?? {};
+      if (typeof query !== 'string' || query.trim() === '') {
+        throw new InvalidInputError(`Calibration example ${i} needs a non-empty "query" string`, { param: 'examples' });
+      }
+      if (typeof document !== 'string' && (document === null || typeof document !== 'object')) {
+        throw new InvalidInputError(`Calibration example ${i} needs a "document" string or object`, { param: 'examples' });
+      }
+      if (typeof relevant !== 'boolean' && relevant !== 0 && relevant !== 1) {
+        throw new InvalidInputError(`Calibration example ${i} needs a "relevant" label (true/false or 1/0), got ${relevant}`, { param: 'examples' });
+      }
+    });
+
+    const { method = 'platt', batchSize = this.defaultBatchSize, save = true, textField = null, textTemplate = null, missingText = 'error' } = options;
+    const textConfig = resolveTextOptions({ textField, textTemplate, missingText });
+
+    // Score the same text rerank() would score for each document
+    const queryPassagePairs = [];
+    const labels = [];
+    examples.forEach(({ query, document, relevant }, i) => {
+      const text = textConfig.extract(document, i);
+      if (text === null) {
+        if (textConfig.missingText === 'error') {
+          throw new InvalidInputError(`Calibration example ${i} has no document text to score. Set textField/textTemplate, or missingText: 'skip'.`, { param: 'examples' });
+        }
+        return;
+      }
+      queryPassagePairs.push([query, text]);
+      labels.push(relevant);
+    });
+
+    this.logger.info(`Fitting ${method} calibration for "${this.model}" on ${queryPassagePairs.length} examples`);
+
+    // Fit on the logit of the uncalibrated score, so logit score heads calibrate like probability heads
+    const rawLogits = [];
+    for (let i = 0; i < queryPassagePairs.length; i += batchSize) {
+      const pairs = queryPassagePairs.slice(i, i + batchSize);
+      const results = await this.modelLoader.getScores(pairs, { calibrated: false });
+      if (results.some(result => result.scoreLogit === null)) {
+        throw new InvalidInputError(`Cannot calibrate "${this.model}": custom score heads have no logit scale to calibrate. Use a built-in score head.`, { param: 'scoreHead' });
+      }
+      rawLogits.push(...results.map(result => result.scoreLogit));
+    }
+
+    const params = ScoreCalibrator.fitLogits(rawLogits, labels, { method });
+    this.calibrator.setCalibration(this.model, params);
+
+    if (save && this.calibrator.filePath) {
+      this.calibrator.save();
+    }
+
+    return params;
+  }
+
+  /**
+   * Set the score above which results of the current model are labeled RELEVANT
+   * @param {number} threshold - Threshold in [0, 1], applied to (calibrated) scores
+   * @param {Object} [options]
+   * @param {boolean} [options.save=true] - Write the calibration file afterwards (if one is configured)
+   * @throws {RerankerError} If calibration is not enabled (code 'NOT_CONFIGURED')
+   */
+  setRelevanceThreshold(threshold, { save = true } = {}) {
+    if (!this.calibrator) {
+      throw new RerankerError('Calibration is not enabled. Pass the "calibration" option to the constructor.', { code: 'NOT_CONFIGURED' });
+    }
 
-    } catch (error) {
-      this.logger.error(`Reranking failed: ${error.message}`);
-      throw error;
+    this.calibrator.setThreshold(this.model, threshold);
+    if (save && this.calibrator.filePath) {
+      this.calibrator.save();
     }
   }
 
@@ -569,8 +2914,10 @@ class NativeEmbeddingReranker {
   }
 
   /**
-   * Unload the associated model from memory and clear it from the cache.
+   * Release this instance's lease on its model. The model is unloaded from memory once no
+   * other instance that uses it is still initialized, so disposing one reranker never breaks another.
    * Useful in long-running applications to manage memory usage.
+   * A persistent score cache is saved to disk and the worker pool (if any) is shut down.
    * 
    * @example
    * const reranker = new NativeEmbeddingReranker();
@@ -578,12 +2925,27 @@ class NativeEmbeddingReranker {
    * // ... use the reranker ...
    * 
    * // When shutting down or switching models:
-   * reranker.dispose(); // Frees up memory
+   * await reranker.dispose(); // Frees up memory
+   * 
+   * @returns {Promise<void>} Resolves once the worker pool (if any) has shut down
    */
-  dispose() {
+  async dispose() {
     this.logger.info(`Disposing model: ${this.model}`);
-    ModelLoader.clearCache(this.model);
-    this.logger.debug('Model resources have been released from memory');
+    // Other instances sharing the model keep it loaded until they are disposed too
+    const unloaded = await this.modelLoader.release();
+    this.logger.debug(unloaded
+      ? 'Model resources have been released from memory'
+      : `Model is still in use by ${this.modelLoader.getRefCount()} other instance(s)`);
+
+    // Keep a persistent score cache warm for the next process
+    if (this.scoreCache?.filePath) {
+      this.scoreCache.save();
+    }
+
+    if (this.inferencePool) {
+      const { gracefulShutdown, shutdownTimeoutMs } = this.workerOptions;
+      await this.inferencePool.close({ graceful: gracefulShutdown, timeoutMs: shutdownTimeoutMs });
+    }
   }
 
   /**
@@ -596,15 +2958,717 @@ class NativeEmbeddingReranker {
     
     return {
       currentModel: this.model,
+      alias: this.alias,
       isLoaded: isLoaded,
       cacheDirectory: this.cacheDir,
+      offline: this.modelLoader.offline !== null,
+      onnxFile: this.modelLoader.variant.file,
+      modelMetadata: this.modelLoader.modelInfo,
+      refCount: this.modelLoader.getRefCount(),
+      refCounts: ModelLoader.getRefCounts(),
+      modelCache: ModelLoader.getCacheStats(),
       totalCachedModels: cachedModels.length,
       cachedModels: cachedModels,
+      calibration: this.calibrator?.getCalibration(this.model) ?? null,
+      scoreCache: this.scoreCache?.getStats() ?? null,
+      workers: this.inferencePool?.getStats() ?? null,
       logLevel: this.logLevel // <-- Change this line
     };
   }
 }
 
+// ====================================================================
+// ENSEMBLE RERANKER
+// ====================================================================
+
+const ENSEMBLE_COMBINE_METHODS = ['weighted-mean', 'rank-average', 'rrf'];
+
+/**
+ * Reranker that scores every candidate with several models and combines their opinions.
+ *
+ * Each member is a NativeEmbeddingReranker, so models are loaded through the shared
+ * ModelLoader cache and reused by any other reranker of the same model. Models run one
+ * after another over the full candidate list; the combined score decides the ranking.
+ *
+ * COMBINE METHODS:
+ * - 'weighted-mean': Weighted mean of the (optionally normalized) model scores
+ * - 'rank-average': Weighted mean rank per model, mapped to (0, 1] (1 = ranked first by every model)
+ * - 'rrf': Weighted reciprocal rank fusion, Σ weight / (rrfK + rank)
+ *
+ * @example
+ * const ensemble = new EnsembleReranker({
+ *   models: ['Xenova/ms-marco-MiniLM-L-6-v2', { model: 'mixedbread-ai/mxbai-rerank-xsmall-v1', weight: 2 }],
+ *   combine: 'rrf'
+ * });
+ * await ensemble.initialize();
+ * const results = await ensemble.rerank(query, documents, { topK: 5 });
+ * // results[0]._rerank_model_scores → { 'Xenova/ms-marco-MiniLM-L-6-v2': 0.91, 'mixedbread-ai/...': 0.84 }
+ */
+class EnsembleReranker {
+  /**
+   * @param {Object} options
+   * @param {Array<string|Object>} options.models - Member models (at least one):
+   *   - string: Model identifier with weight 1
+   *   - object: { model, weight = 1, ...NativeEmbeddingReranker options for this member only }
+   * @param {string} [options.combine='weighted-mean'] - 'weighted-mean' | 'rank-average' | 'rrf'
+   * @param {string} [options.normalization='none'] - 'min-max' | 'z-score' | 'none', applied per query
+   *   to each model's scores before 'weighted-mean' (use it when score heads have different ranges)
+   * @param {number} [options.rrfK=60] - Rank offset used by 'rrf'
+   * @param {Object} [options.rerankerOptions={}] - NativeEmbeddingReranker options shared by all members
+   *   (cacheDir, logger, logLevel, scoreCache, ...)
+   */
+  constructor({ models, combine = 'weighted-mean', normalization = 'none', rrfK = 60, rerankerOptions = {} } = {}) {
+    if (!Array.isArray(models) || models.length === 0) {
+      throw new InvalidInputError('EnsembleReranker needs at least one model.', { param: 'models' });
+    }
+    if (!ENSEMBLE_COMBINE_METHODS.includes(combine)) {
+      throw new InvalidInputError(`Unknown ensemble combine method "${combine}". Expected one of: ${ENSEMBLE_COMBINE_METHODS.join(', ')}`, { param: 'models' });
+    }
+    if (!FUSION_NORMALIZATIONS.includes(normalization)) {
+      throw new InvalidInputError(`Unknown ensemble normalization "${normalization}". Expected one of: ${FUSION_NORMALIZATIONS.join(', ')}`, { param: 'models' });
+    }
+
+    this.combine = combine;
+    this.normalization = normalization;
+    this.rrfK = rrfK;
+
+    this.members = models.map((entry) => {
+      const { model, weight = 1, ...memberOptions } = typeof entry === 'string' ? { model: entry } : entry;
+      if (!model) throw new InvalidInputError('Every ensemble member needs a model name.', { param: 'models' });
+      if (!(typeof weight === 'number' && Number.isFinite(weight) && weight >= 0)) {
+        throw new InvalidInputError(`Ensemble weight for "${model}" must be a finite non-negative number, got ${weight}`, { param: 'models' });
+      }
+      return { model, weight, reranker: new NativeEmbeddingReranker({ ...rerankerOptions, ...memberOptions, model }) };
+    });
+
+    if (new Set(this.members.map(member => member.model)).size !== this.members.length) {
+      throw new InvalidInputError('Ensemble models must be unique.', { param: 'models' });
+    }
+    if (this.members.every(member => member.weight === 0)) {
+      throw new InvalidInputError('At least one ensemble weight must be greater than 0.', { param: 'models' });
+    }
+
+    this.logger = this.members[0].reranker.logger;
+  }
+
+  /**
+   * Load every member model (in parallel; the ModelLoader cache shares already loaded models)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    this.logger.info(`Initializing ensemble of ${this.members.length} models...`);
+    await Promise.all(this.members.map(member => member.reranker.initialize()));
+    this.logger.info('Ensemble ready');
+  }
+
+  /**
+   * Rerank documents with every member model and rank them by the combined score.
+   *
+   * @param {string} query - The search query or question to rerank documents against
+   * @param {(string|Object)[]} documents - Documents in the same formats as NativeEmbeddingReranker.rerank()
+   * @param {Object} [options] - Same options as NativeEmbeddingReranker.rerank(); `topK` applies to the
+   *   combined ranking, `timeoutMs` to the whole ensemble. `partialOnAbort` is not supported.
+   * @returns {Promise<Array<{
+   *   _rerank_corpus_id: number,                   // Original index position in input array
+   *   _rerank_score: number,                       // Combined ensemble score (higher = more relevant)
+   *   _rerank_model_scores: Object<string, number>, // Score per model
+   *   _rerank_model_ranks: Object<string, number>,  // 1-based rank per model
+   *   text: string,
+   *   ...originalProperties
+   * }>>} Documents sorted by combined score (descending)
+   * @throws {AbortError} If aborted or timed out
+   */
+  async rerank(query, documents, options = {}) {
+    const {
+      topK = 4,
+      signal = null,
+      timeoutMs = null,
+      offset = 0,
+      limit = null,
+      minScore = null,
+      relativeCutoff = null,
+      ...memberOptions
+    } = options;
+    validateQuery(query);
+    validateDocuments(documents);
+    validateRerankOptions({ topK, batchSize: memberOptions.batchSize ?? 128, offset, limit, minScore, relativeCutoff });
+
+    if (documents.length === 0) {
+      return [];
+    }
+
+    // Validates signal and timeoutMs before any member runs
+    const checkAbort = createAbortCheck({ signal, timeoutMs });
+    const deadline = timeoutMs !== null ? now() + timeoutMs : null;
+    const start = now();
+
+    // Every model scores the full candidate list; ranking happens on the combined score
+    const perModel = [];
+    let scoredTexts = new Map();
+    for (const member of this.members) {
+      // One deadline covers every member: stop once it has passed, else hand on the time left
+      const abortError = checkAbort();
+      if (abortError) throw abortError;
+
+      const ranked = await member.reranker.rerank(query, documents, {
+        ...memberOptions,
+        topK: Infinity,
+        signal,
+        timeoutMs: remainingTimeout(deadline, timeoutMs),
+        partialOnAbort: false,
+        fusion: null,
+        diversity: null,
+        explain: null
+      });
+
+      const scores = new Map(ranked.map(result => [result._rerank_corpus_id, result._rerank_score]));
+      perModel.push(scores);
+      scoredTexts = new Map(ranked.map(result => [result._rerank_corpus_id, result._rerank_text]));
+    }
+
+    // Documents skipped for missing text (missingText: 'skip') have no scores
+    const scoredIds = documents.map((_, i) => i).filter(i => perModel[0].has(i));
+    const scoreArrays = perModel.map(scores => scoredIds.map(i => scores.get(i)));
+    const combined = this.#combineScores(scoreArrays);
+    const ranksPerModel = scoreArrays.map(scores => rankPositions(scores));
+
+    const results = scoredIds.map((i, j) => ({
+      _rerank_corpus_id: i,
+      _rerank_score: combined[j],
+      _rerank_model_scores: Object.fromEntries(this.members.map((member, m) => [member.model, scoreArrays[m][j]])),
+      _rerank_model_ranks: Object.fromEntries(this.members.map((member, m) => [member.model, ranksPerModel[m][j]])),
+      ...(typeof documents[i] === 'string' ? { text: documents[i] } : documents[i]),
+      ...(scoredTexts.get(i) !== undefined && { _rerank_text: scoredTexts.get(i) })
+    }));
+
+    const finalTopK = rankResults(results, { topK: limit ?? topK, offset, minScore, relativeCutoff });
+
+    this.logger.info(`Ensemble reranking of ${documents.length} documents with ${this.members.length} models took ${(now() - start).toFixed(2)}ms`);
+    return finalTopK;
+  }
+
+  /**
+   * Combine per-model score arrays into one score per document
+   * @param {Array<Array<number>>} perModel - Scores per model, indexed by document
+   * @returns {Array<number>}
+   */
+  #combineScores(perModel) {
+    const weights = this.members.map(member => member.weight);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const count = perModel[0].length;
+
+    if (this.combine === 'weighted-mean') {
+      const normalized = perModel.map(scores => normalizeScores(scores, this.normalization));
+      return Array.from({ length: count }, (_, i) =>
+        normalized.reduce((sum, scores, m) => sum + weights[m] * scores[i], 0) / totalWeight
+      );
+    }
+
+    const ranks = perModel.map(scores => rankPositions(scores));
+
+    if (this.combine === 'rrf') {
+      return Array.from({ length: count }, (_, i) =>
+        ranks.reduce((sum, modelRanks, m) => sum + weights[m] / (this.rrfK + modelRanks[i]), 0)
+      );
+    }
+
+    // 'rank-average': mean rank 1 → 1, mean rank `count` → 1 / count
+    return Array.from({ length: count }, (_, i) => {
+      const meanRank = ranks.reduce((sum, modelRanks, m) => sum + weights[m] * modelRanks[i], 0) / totalWeight;
+      return (count + 1 - meanRank) / count;
+    });
+  }
+
+  /**
+   * Release every member model (see NativeEmbeddingReranker.dispose())
+   * @returns {Promise<void>}
+   */
+  async dispose() {
+    for (const member of this.members) {
+      await member.reranker.dispose();
+    }
+  }
+
+  /**
+   * Get the ensemble configuration and the model info of every member
+   * @returns {Object}
+   */
+  getModelInfo() {
+    return {
+      combine: this.combine,
+      normalization: this.normalization,
+      members: this.members.map(member => ({ model: member.model, weight: member.weight, ...member.reranker.getModelInfo() }))
+    };
+  }
+}
+
+// ====================================================================
+// CASCADE RERANKER
+// ====================================================================
+
+/**
+ * Reranker that runs a cheap model over every candidate and a stronger model over the survivors.
+ *
+ * Each stage is a NativeEmbeddingReranker (models are shared through the ModelLoader cache).
+ * A stage keeps its best `keepTop` candidates and/or those scoring at least `minScore`;
+ * the next stage rescores only those. The last stage decides the final ranking.
+ *
+ * @example
+ * const cascade = new CascadeReranker({
+ *   stages: [
+ *     { model: 'Xenova/ms-marco-MiniLM-L-6-v2', keepTop: 100 },
+ *     { model: 'mixedbread-ai/mxbai-rerank-xsmall-v1' }
+ *   ]
+ * });
+ * await cascade.initialize();
+ * const { results, stages } = await cascade.rerankDetailed(query, candidates, { topK: 10 });
+ * // stages[0] → { model, inputDocuments: 1000, keptDocuments: 100, prunedDocuments: 900, durationMs }
+ */
+class CascadeReranker {
+  /**
+   * @param {Object} [options={}]
+   * @param {Array<Object>} [options.stages] - Stages in order (default: MiniLM keeping the top 100, then mxbai)
+   *   - model: Model identifier
+   *   - keepTop (default: null): Candidates passed on to the next stage (null = no limit)
+   *   - minScore (default: null): Minimum score to be passed on (null = no threshold)
+   *   - any other NativeEmbeddingReranker option for this stage only
+   *   keepTop and minScore are ignored on the last stage, where `topK` applies.
+   * @param {Object} [options.rerankerOptions={}] - NativeEmbeddingReranker options shared by all stages
+   */
+  constructor({
+    stages = [
+      { model: 'Xenova/ms-marco-MiniLM-L-6-v2', keepTop: 100 },
+      { model: 'mixedbread-ai/mxbai-rerank-xsmall-v1' }
+    ],
+    rerankerOptions = {}
+  } = {}) {
+    if (!Array.isArray(stages) || stages.length === 0) {
+      throw new InvalidInputError('CascadeReranker needs at least one stage.', { param: 'stages' });
+    }
+
+    this.stages = stages.map((stage, i) => {
+      const { model, keepTop = null, minScore = null, ...stageOptions } = stage;
+      if (!model) throw new InvalidInputError(`Cascade stage ${i + 1} needs a model name.`, { param: 'stages' });
+      if (keepTop !== null && !(Number.isInteger(keepTop) && keepTop > 0)) {
+        throw new InvalidInputError(`Cascade stage ${i + 1} keepTop must be a positive integer, got ${keepTop}`, { param: 'stages' });
+      }
+      return { model, keepTop, minScore, reranker: new NativeEmbeddingReranker({ ...rerankerOptions, ...stageOptions, model }) };
+    });
+
+    this.logger = this.stages[0].reranker.logger;
+  }
+
+  /**
+   * Load the model of every stage
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    this.logger.info(`Initializing cascade of ${this.stages.length} stages...`);
+    await Promise.all(this.stages.map(stage => stage.reranker.initialize()));
+    this.logger.info('Cascade ready');
+  }
+
+  /**
+   * Rerank documents through the cascade
+   * @param {string} query - The search query or question to rerank documents against
+   * @param {(string|Object)[]} documents - Documents in the same formats as NativeEmbeddingReranker.rerank()
+   * @param {Object} [options] - Same options as NativeEmbeddingReranker.rerank(); `topK` applies to the
+   *   last stage, `timeoutMs` to the whole cascade. `partialOnAbort` is not supported.
+   * @returns {Promise<Array<Object>>} Ranked results of the last stage (see rerankDetailed())
+   */
+  async rerank(query, documents, options = {}) {
+    return (await this.rerankDetailed(query, documents, options)).results;
+  }
+
+  /**
+   * Rerank documents through the cascade and report what every stage did
+   * @param {string} query - The search query or question to rerank documents against
+   * @param {(string|Object)[]} documents - Documents in the same formats as NativeEmbeddingReranker.rerank()
+   * @param {Object} [options] - See rerank()
+   * @returns {Promise<{
+   *   results: Array<Object>,       // Last stage results; _rerank_corpus_id indexes `documents`,
+   *                                 // _rerank_stage_scores holds the score of every stage by model
+   *   stages: Array<{model: string, inputDocuments: number, keptDocuments: number,
+   *     prunedDocuments: number, durationMs: number}>,
+   *   durationMs: number
+   * }>}
+   * @throws {AbortError} If aborted or timed out
+   */
+  async rerankDetailed(query, documents, options = {}) {
+    const {
+      topK = 4,
+      signal = null,
+      timeoutMs = null,
+      offset = 0,
+      limit = null,
+      minScore = null,
+      relativeCutoff = null,
+      explain = null,
+      ...stageOptions
+    } = options;
+    validateQuery(query);
+    validateDocuments(documents);
+    validateRerankOptions({ topK, batchSize: stageOptions.batchSize ?? 128, offset, limit, minScore, relativeCutoff });
+
+    // Validates signal and timeoutMs before any stage runs
+    const checkAbort = createAbortCheck({ signal, timeoutMs });
+    const deadline = timeoutMs !== null ? now() + timeoutMs : null;
+    const start = now();
+
+    // Candidates still in the running, as indices into `documents`
+    let candidates = documents.map((_, i) => i);
+    const stageScores = new Map();
+    const stats = [];
+    let results = [];
+
+    for (const [i, stage] of this.stages.entries()) {
+      const isLast = i === this.stages.length - 1;
+      const stageStart = now();
+
+      // One deadline covers every stage: stop once it has passed, else hand on the time left
+      const abortError = checkAbort();
+      if (abortError) throw abortError;
+
+      const ranked = await stage.reranker.rerank(query, candidates.map(index => documents[index]), {
+        ...stageOptions,
+        ...(isLast ? { topK, offset, limit, minScore, relativeCutoff, explain } : { topK: Infinity }),
+        signal,
+        timeoutMs: remainingTimeout(deadline, timeoutMs),
+        partialOnAbort: false
+      });
+
+      // Map stage-local ids back to input positions and remember every stage's score
+      for (const result of ranked) {
+        result._rerank_corpus_id = candidates[result._rerank_corpus_id];
+        const scores = stageScores.get(result._rerank_corpus_id) || {};
+        scores[stage.model] = result._rerank_score;
+        stageScores.set(result._rerank_corpus_id, scores);
+      }
+
+      let kept = ranked;
+      if (!isLast) {
+        if (stage.minScore !== null) kept = kept.filter(result => result._rerank_score >= stage.minScore);
+        if (stage.keepTop !== null) kept = kept.slice(0, stage.keepTop);
+      }
+
+      stats.push({
+        model: stage.model,
+        inputDocuments: candidates.length,
+        keptDocuments: kept.length,
+        prunedDocuments: candidates.length - kept.length,
+        durationMs: now() - stageStart
+      });
+      this.logger.info(`Cascade stage ${i + 1} (${stage.model}): kept ${kept.length} of ${candidates.length} documents in ${stats[i].durationMs.toFixed(2)}ms`);
+
+      if (isLast) {
+        results = kept;
+      } else {
+        candidates = kept.map(result => result._rerank_corpus_id);
+      }
+    }
+
+    for (const result of results) {
+      result._rerank_stage_scores = stageScores.get(result._rerank_corpus_id);
+    }
+
+    return { results, stages: stats, durationMs: now() - start };
+  }
+
+  /**
+   * Release the model of every stage (see NativeEmbeddingReranker.dispose())
+   * @returns {Promise<void>}
+   */
+  async dispose() {
+    for (const stage of this.stages) {
+      await stage.reranker.dispose();
+    }
+  }
+
+  /**
+   * Get the cascade configuration and the model info of every stage
+   * @returns {Object}
+   */
+  getModelInfo() {
+    return {
+      stages: this.stages.map(stage => ({
+        model: stage.model,
+        keepTop: stage.keepTop,
+        minScore: stage.minScore,
+        ...stage.reranker.getModelInfo()
+      }))
+    };
+  }
+}
+
+// ====================================================================
+// ALIAS RERANKER
+// ====================================================================
+
+/**
+ * Reranker bound to a model alias (e.g. 'production') whose model can be swapped at runtime
+ * without downtime.
+ *
+ * swapModel() loads the new model next to the old one, switches the alias once the new model
+ * is ready, lets calls that already started finish on the old model, and then releases it.
+ * Calls that start after the switch use the new model. Share one AliasReranker per alias so
+ * every caller switches together.
+ *
+ * @example
+ * const reranker = new AliasReranker({ alias: 'production', model: 'Xenova/ms-marco-MiniLM-L-6-v2' });
+ * await reranker.initialize();
+ * const results = await reranker.rerank(query, documents, { topK: 5 });
+ *
+ * // Roll forward (and back the same way) while traffic keeps flowing
+ * await reranker.swapModel('mixedbread-ai/mxbai-rerank-xsmall-v1');
+ */
+class AliasReranker {
+  // Current model: { model, reranker, inFlight, onIdle }; replaced in one assignment by swapModel()
+  #slot;
+  // Swaps run one at a time, in call order
+  #swapChain = Promise.resolve();
+
+  /**
+   * @param {Object} options
+   * @param {string} options.alias - Alias name; must already exist unless `model` is given
+   * @param {string|null} [options.model=null] - Point the alias at this model first (see ModelRegistry.setAlias())
+   * @param {Object} [options.rerankerOptions={}] - NativeEmbeddingReranker options for every model the alias serves
+   *   (cacheDir, logger, logLevel, workers, ...)
+   */
+  constructor({ alias, model = null, rerankerOptions = {} } = {}) {
+    if (model !== null) {
+      ModelRegistry.setAlias(alias, model);
+    } else if (!ModelRegistry.isAlias(alias)) {
+      throw new InvalidInputError(`Unknown alias "${alias}". Pass a model or call ModelRegistry.setAlias() first.`, { param: 'alias' });
+    }
+
+    this.alias = alias;
+    this.rerankerOptions = rerankerOptions;
+    this.swaps = 0;
+    this.#slot = this.#createSlot(ModelRegistry.resolveAlias(alias));
+    this.logger = this.#slot.reranker.logger;
+  }
+
+  /**
+   * Create the reranker for one model the alias serves
+   * @param {string} model - Concrete model identifier
+   * @returns {{model: string, reranker: NativeEmbeddingReranker, inFlight: number, onIdle: Function|null}}
+   */
+  #createSlot(model) {
+    return { model, reranker: new NativeEmbeddingReranker({ ...this.rerankerOptions, model }), inFlight: 0, onIdle: null };
+  }
+
+  /**
+   * Count a call against the current model until it settles, so a swap can wait for it
+   * @param {Function} call - (reranker) => Promise
+   * @returns {Promise<*>} The call's result
+   */
+  async #track(call) {
+    const slot = this.#slot;
+    slot.inFlight++;
+    try {
+      return await call(slot.reranker);
+    } finally {
+      this.#settle(slot);
+    }
+  }
+
+  /**
+   * Mark one call on a slot as finished and wake a waiting swap when it was the last
+   * @param {Object} slot
+   */
+  #settle(slot) {
+    slot.inFlight--;
+    if (slot.inFlight === 0) slot.onIdle?.();
+  }
+
+  /**
+   * Wait until no call is running on a slot
+   * @param {Object} slot
+   * @param {number|null} timeoutMs - Give up after this long (null = wait indefinitely)
+   * @returns {Promise<boolean>} true if the slot drained, false on timeout
+   */
+  async #drain(slot, timeoutMs) {
+    if (slot.inFlight === 0) return true;
+
+    const idle = new Promise(resolve => { slot.onIdle = () => resolve(true); });
+    if (timeoutMs === null) return idle;
+
+    let timer;
+    const timedOut = new Promise(resolve => { timer = setTimeout(() => resolve(false), timeoutMs); });
+    const drained = await Promise.race([idle, timedOut]);
+    clearTimeout(timer);
+    return drained;
+  }
+
+  /**
+   * Load the model the alias currently points to
+   * @returns {Promise<void>}
+   * @throws {ModelLoadError} If model loading fails
+   */
+  async initialize() {
+    this.logger.info(`Initializing alias "${this.alias}" → "${this.#slot.model}"...`);
+    await this.#slot.reranker.initialize();
+  }
+
+  /**
+   * Rerank with the alias's current model (see NativeEmbeddingReranker.rerank())
+   * @param {string} query
+   * @param {(string|Object)[]} documents
+   * @param {Object} [options]
+   * @returns {Promise<Array<Object>>}
+   */
+  rerank(query, documents, options = {}) {
+    return this.#track(reranker => reranker.rerank(query, documents, options));
+  }
+
+  /**
+   * Rerank many queries with the alias's current model (see NativeEmbeddingReranker.rerankMany())
+   * @param {string[]} queries
+   * @param {Array<(string|Object)[]>} documentsPerQuery
+   * @param {Object} [options]
+   * @returns {Promise<Array<Array<Object>>>}
+   */
+  rerankMany(queries, documentsPerQuery, options = {}) {
+    return this.#track(reranker => reranker.rerankMany(queries, documentsPerQuery, options));
+  }
+
+  /**
+   * Stream-rerank with the alias's current model (see NativeEmbeddingReranker.rerankStream()).
+   * The stream counts as in flight until `stream.done` settles.
+   * @param {string} query
+   * @param {Iterable|AsyncIterable} source
+   * @param {Object} [options]
+   * @returns {RerankStream}
+   */
+  rerankStream(query, source, options = {}) {
+    const slot = this.#slot;
+    slot.inFlight++;
+
+    let stream;
+    try {
+      stream = slot.reranker.rerankStream(query, source, options);
+    } catch (error) {
+      this.#settle(slot);
+      throw error;
+    }
+
+    const settle = () => this.#settle(slot);
+    stream.done.then(settle, settle);
+    return stream;
+  }
+
+  /**
+   * Switch the alias to another model without dropping traffic:
+   * 1. Load the new model next to the old one (the old one keeps serving)
+   * 2. Switch the alias in one step; calls from now on use the new model
+   * 3. Wait for calls still running on the old model to finish
+   * 4. Release the old model
+   *
+   * If the new model fails to load, nothing changes and the error is thrown.
+   * Concurrent swaps run one after another.
+   *
+   * @param {string} model - Model to serve under the alias
+   * @param {Object} [options={}]
+   * @param {number|null} [options.drainTimeoutMs=null] - Release the old model after this long even if
+   *   calls are still running on it (they may then fail); null waits for them
+   * @returns {Promise<{alias: string, model: string, previousModel: string, warmupMs: number, drained: boolean}>}
+   * @throws {ModelLoadError} If the new model cannot be loaded
+   *
+   * @example
+   * const { previousModel } = await reranker.swapModel('mixedbread-ai/mxbai-rerank-xsmall-v1');
+   * // ...and to roll back:
+   * await reranker.swapModel(previousModel);
+   */
+  swapModel(model, options = {}) {
+    const swap = this.#swapChain.then(() => this.#swap(model, options));
+    this.#swapChain = swap.catch(() => {});
+    return swap;
+  }
+
+  /**
+   * Perform one swap (see swapModel())
+   * @param {string} model
+   * @param {Object} options
+   * @returns {Promise<Object>}
+   */
+  async #swap(model, { drainTimeoutMs = null } = {}) {
+    if (typeof model !== 'string' || model.trim() === '') {
+      throw new InvalidInputError('swapModel() needs a model name.', { param: 'model' });
+    }
+    if (ModelRegistry.isAlias(model)) {
+      throw new InvalidInputError(`Alias "${this.alias}" must point to a model, not to the alias "${model}"`, { param: 'model' });
+    }
+
+    const previous = this.#slot;
+    if (model === previous.model) {
+      this.logger.info(`Alias "${this.alias}" already serves "${model}"`);
+      return { alias: this.alias, model, previousModel: model, warmupMs: 0, drained: true };
+    }
+
+    // 1. Warm up the new model while the old one keeps serving
+    this.logger.info(`Preloading "${model}" for alias "${this.alias}" (currently "${previous.model}")...`);
+    const start = now();
+    const next = this.#createSlot(model);
+    try {
+      await next.reranker.initialize();
+    } catch (error) {
+      this.logger.error(`Swap of alias "${this.alias}" to "${model}" aborted; still serving "${previous.model}"`);
+      await next.reranker.dispose();
+      throw error;
+    }
+    const warmupMs = now() - start;
+
+    // 2. Switch: a single assignment, so every call sees either the old or the new model
+    this.#slot = next;
+    ModelRegistry.setAlias(this.alias, model);
+    this.swaps++;
+    this.logger.info(`Alias "${this.alias}" now serves "${model}" (warmed up in ${warmupMs.toFixed(2)}ms)`);
+
+    // 3. Let calls that started on the old model finish
+    if (previous.inFlight > 0) {
+      this.logger.info(`Waiting for ${previous.inFlight} call(s) on "${previous.model}" to finish...`);
+    }
+    const drained = await this.#drain(previous, drainTimeoutMs);
+    if (!drained) {
+      this.logger.warn(`Releasing "${previous.model}" with ${previous.inFlight} call(s) still running after ${drainTimeoutMs}ms`);
+    }
+
+    // 4. Release the old model (freed once no other reranker uses it)
+    await previous.reranker.dispose();
+    return { alias: this.alias, model, previousModel: previous.model, warmupMs, drained };
+  }
+
+  /**
+   * The NativeEmbeddingReranker currently serving the alias (changes on swap)
+   * @returns {NativeEmbeddingReranker}
+   */
+  getReranker() {
+    return this.#slot.reranker;
+  }
+
+  /**
+   * Release the current model once pending swaps are done. The alias itself stays registered.
+   * @returns {Promise<void>}
+   */
+  async dispose() {
+    await this.#swapChain;
+    await this.#slot.reranker.dispose();
+  }
+
+  /**
+   * Get the alias, swap count and calls in flight, plus the current model's info
+   * @returns {Object}
+   */
+  getModelInfo() {
+    return {
+      ...this.#slot.reranker.getModelInfo(),
+      alias: this.alias,
+      swaps: this.swaps,
+      inFlight: this.#slot.inFlight
+    };
+  }
+}
+
 // ====================================================================
 // MODULE EXPORTS
 // ====================================================================
@@ -612,5 +3676,33 @@ class NativeEmbeddingReranker {
 // Export the production classes
 export { 
   NativeEmbeddingReranker, 
-  ModelLoader
+  EnsembleReranker,
+  CascadeReranker,
+  AliasReranker,
+  ModelLoader,
+  ModelRegistry,
+  RerankerError,
+  InvalidInputError,
+  ModelNotInitializedError,
+  ModelLoadError,
+  InferenceError,
+  AbortError,
+  ScoreCalibrator,
+  ScoreCache,
+  InferencePool
+};
+
+// Pure helpers, exported for the unit tests in unit-tests.js
+export {
+  poolWindowScores,
+  planLengthBatches,
+  TopKHeap,
+  resolveFusionOptions,
+  applyScoreFusion,
+  resolveDiversityOptions,
+  diversifyResults,
+  resolveTextOptions,
+  rankResults,
+  resolveExplainOptions,
+  splitSentences
 };
\ No newline at end of file
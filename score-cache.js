@@ -0,0 +1,201 @@
+import path from 'path';
+import fs from 'fs';
+import { createHash } from 'crypto';
+import { createConsoleLogger } from './logger.js';
+import { RerankerError, InvalidInputError } from './errors.js';
+
+/**
+ * ====================================================================
+ * SCORE CACHE MODULE - Persistent query-document score cache
+ * ====================================================================
+ *
+ * Services that rerank the same popular queries against mostly the same
+ * candidates pay full inference cost every time. This module caches the
+ * raw model logits for each (model, query, document) triple, so repeated
+ * pairs skip inference entirely.
+ *
+ * Features:
+ * - Keys built from the model name and SHA-256 hashes of query and document
+ * - LRU eviction once `maxEntries` is reached
+ * - Optional time-to-live per entry
+ * - Optional persistence to a JSON file, so restarted processes stay warm
+ *
+ * Logits (not final scores) are cached, so score heads and calibration can
+ * change without invalidating the cache.
+ *
+ * Usage:
+ *   import { ScoreCache } from './score-cache.js';
+ *   const cache = new ScoreCache({ maxEntries: 50000, ttlMs: 3600000, filePath: './models/score-cache.json' });
+ *   const reranker = new NativeEmbeddingReranker({ scoreCache: cache });
+ */
+
+// ====================================================================
+// SCORE CACHE CLASS
+// ====================================================================
+
+/**
+ * LRU cache of model logits keyed by model name, query hash and document hash
+ */
+class ScoreCache {
+  /**
+   * @param {Object} [options={}]
+   * @param {number} [options.maxEntries=10000] - Maximum number of cached pairs (least recently used are evicted)
+   * @param {number|null} [options.ttlMs=null] - Time-to-live of an entry in milliseconds (null = no expiry)
+   * @param {string|null} [options.filePath=null] - JSON file to load from and save to
+   *   - null: Keep the cache in memory only
+   *   - string: Loaded immediately if it exists, written by save()
+   * @param {Object|null} [options.logger=null] - Logger with debug, info, warn, error methods
+   */
+  constructor({ maxEntries = 10000, ttlMs = null, filePath = null, logger = null } = {}) {
+    if (!Number.isInteger(maxEntries) || maxEntries <= 0) {
+      throw new InvalidInputError(`Score cache maxEntries must be a positive integer, got ${maxEntries}`, { param: 'maxEntries' });
+    }
+    if (ttlMs !== null && !(typeof ttlMs === 'number' && ttlMs > 0)) {
+      throw new InvalidInputError(`Score cache ttlMs must be a positive number of milliseconds or null, got ${ttlMs}`, { param: 'ttlMs' });
+    }
+
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.logger = logger || createConsoleLogger();
+
+    // Map iteration order doubles as LRU order: oldest first
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.dirty = false;
+
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      this.load();
+    }
+  }
+
+  /**
+   * Build the cache key for a query-document pair
+   * @param {string} modelName - Model identifier
+   * @param {string} query - Query text
+   * @param {string} text - Document text as sent to the model
+   * @returns {string}
+   */
+  static key(modelName, query, text) {
+    const hash = (value) => createHash('sha256').update(String(value)).digest('hex');
+    return `${modelName}|${hash(query)}|${hash(text)}`;
+  }
+
+  #isExpired(entry) {
+    return this.ttlMs !== null && Date.now() - entry.storedAt > this.ttlMs;
+  }
+
+  /**
+   * Look up the cached logits for a pair, counting a hit or miss
+   * @param {string} modelName - Model identifier
+   * @param {string} query - Query text
+   * @param {string} text - Document text
+   * @returns {Array<number>|null} Cached logits, or null on a miss
+   */
+  get(modelName, query, text) {
+    const key = ScoreCache.key(modelName, query, text);
+    const entry = this.entries.get(key);
+
+    if (!entry || this.#isExpired(entry)) {
+      if (entry) {
+        this.entries.delete(key);
+        this.dirty = true;
+      }
+      this.misses++;
+      return null;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.logits;
+  }
+
+  /**
+   * Store the logits for a pair, evicting the least recently used entries if full
+   * @param {string} modelName - Model identifier
+   * @param {string} query - Query text
+   * @param {string} text - Document text
+   * @param {Array<number>} logits - Raw model logits for the pair
+   */
+  set(modelName, query, text, logits) {
+    const key = ScoreCache.key(modelName, query, text);
+    this.entries.delete(key);
+    this.entries.set(key, { logits, storedAt: Date.now() });
+    this.dirty = true;
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Remove cached entries
+   * @param {string|null} [modelName=null] - Only remove entries of this model, or null for all.
+   *   Entries of the model's non-default ONNX variants (`${modelName}@${file}`) are removed too.
+   */
+  clear(modelName = null) {
+    if (modelName === null) {
+      this.entries.clear();
+    } else {
+      for (const key of [...this.entries.keys()]) {
+        if (key.startsWith(`${modelName}|`) || key.startsWith(`${modelName}@`)) this.entries.delete(key);
+      }
+    }
+    this.dirty = true;
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {{size: number, maxEntries: number, hits: number, misses: number, hitRate: number, evictions: number}}
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? this.hits / lookups : 0,
+      evictions: this.evictions
+    };
+  }
+
+  /**
+   * Load entries from the JSON file, replacing what is in memory. Expired entries are dropped.
+   */
+  load() {
+    if (!this.filePath) return;
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.entries = new Map((data.entries || []).filter(([, entry]) => !this.#isExpired(entry)));
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.dirty = false;
+    this.logger.debug(`[ScoreCache] Loaded ${this.entries.size} cached scores from ${this.filePath}`);
+  }
+
+  /**
+   * Write the cache to the JSON file if it changed since the last load or save
+   */
+  save() {
+    if (!this.filePath) {
+      throw new RerankerError('No score cache file path configured.', { code: 'NOT_CONFIGURED' });
+    }
+    if (!this.dirty) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ version: 1, entries: [...this.entries] }));
+    this.dirty = false;
+    this.logger.info(`[ScoreCache] Saved ${this.entries.size} cached scores to ${this.filePath}`);
+  }
+}
+
+export { ScoreCache };
@@ -0,0 +1,337 @@
+import http from 'http';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { NativeEmbeddingReranker, ModelLoader, ModelRegistry, AbortError, InvalidInputError, ModelLoadError, ModelNotInitializedError } from './reranker.js';
+
+/**
+ * ====================================================================
+ * RERANK SERVER - HTTP API around NativeEmbeddingReranker
+ * ====================================================================
+ *
+ * A dependency-free HTTP server that exposes the reranker with the request
+ * and response shape used by common hosted rerank APIs, so existing rerank
+ * clients can point at it as a local drop-in.
+ *
+ * Endpoints:
+ *   POST /rerank   {model?, query, documents, top_n?, return_documents?}
+ *                  → {model, results: [{index, relevance_score, document?}]}
+ *   GET  /models   → {object: 'list', data: [{id, object: 'model', default, loaded, description}]}
+ *   GET  /health   → {status: 'ok', loadedModels: [...], modelCache: {...}}
+ *
+ * Usage:
+ *   node server.js --port 8080 --model Xenova/ms-marco-MiniLM-L-6-v2
+ *
+ *   import { createRerankServer, closeRerankServer } from './server.js';
+ *   const server = createRerankServer({ defaultModel: 'Xenova/ms-marco-MiniLM-L-6-v2' });
+ *   server.listen(8080);
+ *   await closeRerankServer(server); // releases the models before resolving
+ */
+
+// Releases the rerankers of each server created by createRerankServer() (see closeRerankServer())
+const serverDisposers = new WeakMap();
+
+const DEFAULT_MODEL = 'mixedbread-ai/mxbai-rerank-xsmall-v1';
+
+/**
+ * Error with an HTTP status, turned into a JSON error response by the request handler
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {number} maxBodyBytes - Largest accepted body
+ * @returns {Promise<Object>}
+ */
+function readJsonBody(req, maxBodyBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBodyBytes) {
+        // Stop buffering but keep draining the socket; destroying it would drop the 413 response
+        req.removeAllListeners('data');
+        req.resume();
+        reject(new HttpError(413, `Request body exceeds ${maxBodyBytes} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch {
+        reject(new HttpError(400, 'Request body must be valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} res - Outgoing response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  res.end(payload);
+}
+
+/**
+ * Create an HTTP server that serves /rerank, /models and /health.
+ *
+ * One NativeEmbeddingReranker is created lazily per model, so all requests for a
+ * model share the ModelLoader cache. Closing the server disposes them.
+ *
+ * @param {Object} [options={}]
+ * @param {string} [options.defaultModel='mixedbread-ai/mxbai-rerank-xsmall-v1'] - Model used when a request names none
+ * @param {string[]|null} [options.models=null] - Models requests may select (null = every ModelRegistry model plus defaultModel)
+ * @param {Object} [options.rerankerOptions={}] - Extra NativeEmbeddingReranker constructor options (cacheDir, logLevel, ...)
+ * @param {number} [options.maxDocuments=1000] - Most documents accepted per request
+ * @param {number} [options.maxBodyBytes=10485760] - Largest accepted request body
+ * @param {number|null} [options.timeoutMs=null] - Deadline per rerank request
+ * @param {number|null} [options.batchSize=null] - Batch size passed to rerank() (null = the model's registry batch size)
+ * @param {Object|null} [options.modelCache=null] - Model cache policy { maxModels, maxMemoryBytes } (see ModelLoader.configureCache())
+ * @returns {http.Server} Server that is not yet listening
+ */
+function createRerankServer(options = {}) {
+  const {
+    defaultModel = DEFAULT_MODEL,
+    models = null,
+    rerankerOptions = {},
+    maxDocuments = 1000,
+    maxBodyBytes = 10 * 1024 * 1024,
+    timeoutMs = null,
+    batchSize = null,
+    modelCache = null
+  } = options;
+
+  if (modelCache) {
+    ModelLoader.configureCache(modelCache);
+  }
+
+  const allowedModels = [...new Set(models || [defaultModel, ...ModelRegistry.list().map(entry => entry.name)])];
+  const rerankers = new Map(); // model name → Promise<NativeEmbeddingReranker>
+
+  const getReranker = (model) => {
+    if (!rerankers.has(model)) {
+      const reranker = new NativeEmbeddingReranker({ ...rerankerOptions, model });
+      const ready = reranker.initialize().then(() => reranker);
+      // Let a later request retry a model that failed to load
+      ready.catch(() => rerankers.delete(model));
+      rerankers.set(model, ready);
+    }
+    return rerankers.get(model);
+  };
+
+  const handleRerank = async (req, res) => {
+    const body = await readJsonBody(req, maxBodyBytes);
+    const { model = defaultModel, query, documents, top_n: topN, return_documents: returnDocuments = false } = body;
+
+    if (!allowedModels.includes(model)) {
+      throw new HttpError(400, `Model "${model}" is not available. Available models: ${allowedModels.join(', ')}`);
+    }
+    if (typeof query !== 'string' || query.trim() === '') {
+      throw new HttpError(400, '"query" must be a non-empty string');
+    }
+    if (!Array.isArray(documents)) {
+      throw new HttpError(400, '"documents" must be an array of strings or objects with a "text" field');
+    }
+    if (documents.length > maxDocuments) {
+      throw new HttpError(400, `At most ${maxDocuments} documents are accepted per request`);
+    }
+    if (topN !== undefined && (!Number.isInteger(topN) || topN <= 0)) {
+      throw new HttpError(400, '"top_n" must be a positive integer');
+    }
+    if (documents.length === 0) {
+      // Nothing to rank: answer without loading the model
+      sendJson(res, 200, { model, results: [] });
+      return;
+    }
+
+    // Stop scoring if the client goes away before the response is sent
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    const reranker = await getReranker(model);
+    const ranked = await reranker.rerank(query, documents, {
+      topK: topN ?? documents.length,
+      ...(batchSize !== null && { batchSize }),
+      signal: controller.signal,
+      timeoutMs
+    });
+
+    sendJson(res, 200, {
+      model,
+      results: ranked.map(result => ({
+        index: result._rerank_corpus_id,
+        relevance_score: result._rerank_score,
+        ...(returnDocuments && {
+          document: typeof documents[result._rerank_corpus_id] === 'string'
+            ? { text: documents[result._rerank_corpus_id] }
+            : documents[result._rerank_corpus_id]
+        })
+      }))
+    });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      if (pathname === '/rerank') {
+        if (req.method !== 'POST') throw new HttpError(405, 'Use POST for /rerank');
+        await handleRerank(req, res);
+      } else if (pathname === '/models') {
+        if (req.method !== 'GET') throw new HttpError(405, 'Use GET for /models');
+        const loaded = ModelLoader.getCachedModels();
+        sendJson(res, 200, {
+          object: 'list',
+          data: allowedModels.map(id => ({
+            id,
+            object: 'model',
+            default: id === defaultModel,
+            loaded: loaded.includes(id),
+            description: ModelRegistry.get(id)?.description ?? null
+          }))
+        });
+      } else if (pathname === '/health') {
+        if (req.method !== 'GET') throw new HttpError(405, 'Use GET for /health');
+        sendJson(res, 200, { status: 'ok', loadedModels: ModelLoader.getCachedModels(), modelCache: ModelLoader.getCacheStats() });
+      } else {
+        throw new HttpError(404, `Not found: ${pathname}`);
+      }
+    } catch (error) {
+      if (res.headersSent || res.destroyed) return;
+
+      if (error instanceof HttpError) {
+        // The rest of an oversized body is not worth reading on a kept-alive connection
+        if (error.status === 413) res.setHeader('Connection', 'close');
+        sendJson(res, error.status, { error: { message: error.message } });
+      } else if (error instanceof AbortError) {
+        sendJson(res, error.timedOut ? 504 : 499, { error: { message: error.message, code: error.code } });
+      } else if (error instanceof InvalidInputError) {
+        sendJson(res, 400, { error: { message: error.message, code: error.code } });
+      } else if (error instanceof ModelLoadError || error instanceof ModelNotInitializedError) {
+        sendJson(res, 503, { error: { message: error.message, code: error.code } });
+      } else {
+        console.error(`[ERROR] [server] ${error.message}`);
+        sendJson(res, 500, { error: { message: 'Internal server error' } });
+      }
+    }
+  });
+
+  // Runs once, on 'close' or from closeRerankServer(), whichever comes first
+  let disposed = null;
+  const disposeRerankers = () => {
+    disposed ??= (async () => {
+      for (const ready of rerankers.values()) {
+        try {
+          await (await ready).dispose();
+        } catch {
+          // A model that never loaded has nothing to release
+        }
+      }
+      rerankers.clear();
+    })();
+    return disposed;
+  };
+  server.on('close', disposeRerankers);
+  serverDisposers.set(server, disposeRerankers);
+
+  return server;
+}
+
+/**
+ * Stop accepting connections and dispose every reranker the server created.
+ * Unlike a bare server.close(), the returned promise waits until the models and
+ * worker pools are released, so it is safe to exit the process afterwards.
+ * @param {http.Server} server - Server returned by createRerankServer()
+ * @returns {Promise<void>}
+ */
+async function closeRerankServer(server) {
+  // A server that is not listening any more still has rerankers to dispose, so close errors are ignored
+  await new Promise(resolve => server.close(() => resolve()));
+  await serverDisposers.get(server)?.();
+}
+
+export { createRerankServer, closeRerankServer };
+
+// Command-line interface - only run if this file is called directly
+const __filename = fileURLToPath(import.meta.url);
+const isMainModule = process.argv[1] === __filename;
+
+if (isMainModule) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: process.env.PORT || '8080' },
+      host: { type: 'string', default: '127.0.0.1' },
+      model: { type: 'string', default: DEFAULT_MODEL },
+      models: { type: 'string' },
+      'cache-dir': { type: 'string' },
+      offline: { type: 'boolean', default: false },
+      'log-level': { type: 'string', default: 'info' },
+      'timeout-ms': { type: 'string' },
+      'max-models': { type: 'string' },
+      'max-model-memory-mb': { type: 'string' }
+    }
+  });
+
+  // Check numeric options once here, rather than failing every request with a NaN setting
+  const parseNumberOption = (name, { integer = false, min = 1 } = {}) => {
+    const value = values[name];
+    if (value === undefined) return null;
+    const number = Number(value);
+    if (value.trim() === '' || !Number.isFinite(number) || number < min || (integer && !Number.isInteger(number))) {
+      console.error(`[ERROR] --${name} must be ${integer ? 'an integer' : 'a number'} of at least ${min}, got "${value}"`);
+      process.exit(1);
+    }
+    return number;
+  };
+  const port = parseNumberOption('port', { integer: true, min: 0 });
+  const timeoutMs = parseNumberOption('timeout-ms');
+  const maxModels = parseNumberOption('max-models', { integer: true });
+  const maxModelMemoryMb = parseNumberOption('max-model-memory-mb');
+
+  const server = createRerankServer({
+    defaultModel: values.model,
+    models: values.models ? values.models.split(',').map(m => m.trim()) : null,
+    timeoutMs,
+    modelCache: {
+      maxModels: maxModels ?? Infinity,
+      maxMemoryBytes: maxModelMemoryMb !== null ? maxModelMemoryMb * 1024 * 1024 : Infinity
+    },
+    rerankerOptions: { cacheDir: values['cache-dir'] || null, offline: values.offline, logLevel: values['log-level'] }
+  });
+
+  server.listen(port, values.host, () => {
+    console.log(`[INFO] Rerank server listening on http://${values.host}:${values.port} (default model: ${values.model})`);
+  });
+
+  const shutdown = () => {
+    console.log('[INFO] Shutting down rerank server...');
+    // Exit only once the models and worker pools have been released
+    closeRerankServer(server).then(() => process.exit(0), (error) => {
+      console.error(`[ERROR] Shutdown failed: ${error.message}`);
+      process.exit(1);
+    });
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
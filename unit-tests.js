@@ -0,0 +1,2150 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import assert from 'assert/strict';
+import { execFileSync } from 'child_process';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { AutoTokenizer, AutoModelForSequenceClassification } from '@xenova/transformers';
+import {
+  NativeEmbeddingReranker,
+  EnsembleReranker,
+  CascadeReranker,
+  AliasReranker,
+  ModelLoader,
+  ModelRegistry,
+  ScoreCalibrator,
+  ScoreCache,
+  InferencePool,
+  AbortError,
+  RerankerError,
+  InvalidInputError,
+  poolWindowScores,
+  planLengthBatches,
+  TopKHeap,
+  resolveFusionOptions,
+  applyScoreFusion,
+  resolveDiversityOptions,
+  diversifyResults,
+  resolveTextOptions,
+  rankResults,
+  resolveExplainOptions,
+  splitSentences
+} from './reranker.js';
+import { createConsoleLogger } from './logger.js';
+import { MANIFEST_FILE, requiredModelFiles, getModelDir, hashFile, buildManifest, verifyModelFiles } from './model-manifest.js';
+import { createRerankServer, closeRerankServer } from './server.js';
+import { parseCsv, parseJsonl, groupRows, formatResults, main as cliMain } from './cli.js';
+
+/**
+ * ====================================================================
+ * RERANKER UNIT TESTS - Model-free tests of the reranker's logic
+ * ====================================================================
+ *
+ * Transformers.js model loading is replaced by a small word-overlap stub
+ * (a pair's logit grows with the query words found in the passage), so
+ * these tests need no model download and run in about a second. The
+ * model-backed benchmarks live in test-suite.js.
+ *
+ * Usage:
+ *   node unit-tests.js [--filter <text>]
+ */
+
+// ====================================================================
+// UNIT TEST HARNESS
+// ====================================================================
+
+/**
+ * Registered unit tests, run in registration order by runUnitTests()
+ */
+const UNIT_TESTS = [];
+
+/**
+ * Register a unit test
+ * @param {string} name - "<feature>: <behaviour>"
+ * @param {Function} fn - Test body; throws (e.g. through assert) to fail
+ */
+function unitTest(name, fn) {
+  UNIT_TESTS.push({ name, fn });
+}
+
+// Stand-in model names: one logit per pair, or [not relevant, relevant] logits
+const STUB_MODEL = 'test/stub-reranker';
+const STUB_MODEL_TWO_LABEL = 'test/stub-reranker-two-label';
+
+// Logger for components constructed directly in tests
+const silentLogger = createConsoleLogger('silent');
+
+// Scratch model cache directory for the unit tests (created by runUnitTests())
+let unitCacheDir = null;
+
+/**
+ * Reranker options every unit test starts from: silent logging, scratch cache directory
+ * @param {Object} [options={}] - Overrides
+ * @returns {Object}
+ */
+function unitOptions(options = {}) {
+  return { model: STUB_MODEL, cacheDir: unitCacheDir, logLevel: 'silent', ...options };
+}
+
+/**
+ * Lower-cased word tokens, the unit of the stub tokenizer
+ * @param {string} text
+ * @returns {string[]}
+ */
+function stubWords(text) {
+  return String(text ?? '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Whitespace tokenizer with BERT-style special tokens ([CLS] query [SEP] passage [SEP]).
+ * Pads and truncates like Transformers.js: `padding: true` pads to `max_length` when one
+ * is given, else to the longest pair; truncation cuts the passage at `max_length`, capped
+ * by `model_max_length`.
+ * @param {Object} stub - Shared stub state (records every call in `tokenizerCalls`)
+ * @param {number} maxLength - model_max_length
+ * @returns {Function}
+ */
+function createStubTokenizer(stub, maxLength) {
+  const tokenizer = (queries, { text_pair: passages = [], padding = false, truncation = false, max_length: maxTokens = null } = {}) => {
+    const limit = Math.min(maxTokens ?? Infinity, tokenizer.model_max_length);
+    const pairs = queries.map((query, i) => {
+      const queryWords = stubWords(query);
+      let passageWords = stubWords(passages[i]);
+      if (truncation) passageWords = passageWords.slice(0, Math.max(0, limit - queryWords.length - 3));
+      return [queryWords, passageWords];
+    });
+
+    const lengths = pairs.map(([q, p]) => q.length + p.length + 3);
+    const paddedLength = padding ? Math.min(maxTokens ?? Math.max(...lengths), tokenizer.model_max_length) : Math.max(...lengths);
+    stub.tokenizerCalls.push({ pairs: pairs.length, lengths, paddedLength });
+    return { pairs };
+  };
+
+  tokenizer.model_max_length = maxLength;
+  tokenizer.encode = (text, pair = null, { add_special_tokens: special = true } = {}) => {
+    const ids = [...stubWords(text), ...(pair === null ? [] : stubWords(pair))].map((_, i) => i + 10);
+    if (!special) return ids;
+    return pair === null ? [1, ...ids, 2] : [1, ...ids, 2, 2];
+  };
+  return tokenizer;
+}
+
+/**
+ * Cross-encoder stand-in: a pair's logit is 2 × (query words found in the passage) - 1
+ * @param {Object} stub - Shared stub state (`gate`: promise every inference waits for; counts `disposals`)
+ * @param {number} labels - 1 or 2 logits per pair
+ * @param {number} maxLength - max_position_embeddings
+ * @returns {Function}
+ */
+function createStubModel(stub, labels, maxLength) {
+  const model = async ({ pairs }) => {
+    if (stub.gate) await stub.gate;
+    // Like a freed ONNX session, a disposed stub cannot run inference
+    if (model.disposed) throw new Error('stub model used after dispose()');
+    stub.inferences++;
+    const rows = pairs.map(([queryWords, passageWords]) => {
+      const found = new Set(passageWords);
+      const logit = 2 * queryWords.filter(word => found.has(word)).length - 1;
+      return labels === 1 ? [logit] : [-logit, logit];
+    });
+    return { logits: { dims: [rows.length, labels], tolist: () => rows } };
+  };
+
+  model.config = {
+    id2label: labels === 1 ? { 0: 'LABEL_0' } : { 0: 'LABEL_0', 1: 'LABEL_1' },
+    max_position_embeddings: maxLength,
+    vocab_size: 1000,
+    hidden_size: 8,
+    num_hidden_layers: 1
+  };
+  model.disposed = false;
+  model.dispose = async () => {
+    model.disposed = true;
+    stub.disposals++;
+  };
+  return model;
+}
+
+/**
+ * Assert that two numbers are equal up to floating-point error
+ * @param {number} actual
+ * @param {number} expected
+ * @param {number} [epsilon=1e-9]
+ */
+function assertClose(actual, expected, epsilon = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= epsilon, `expected ${actual} to be within ${epsilon} of ${expected}`);
+}
+
+/**
+ * Wait for an event, failing the test if it does not arrive in time
+ * @param {EventEmitter} emitter
+ * @param {string} event
+ * @param {number} [timeoutMs=2000]
+ * @returns {Promise<*>} The event's first argument
+ */
+function waitForEvent(emitter, event, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`no '${event}' event within ${timeoutMs}ms`)), timeoutMs);
+    emitter.once(event, (value) => {
+      clearTimeout(timer);
+      resolve(value);
+    });
+  });
+}
+
+/**
+ * Run a test body with Transformers.js model loading replaced by the stub model and tokenizer
+ * @param {Function} fn - async (stub) => void; stub has loads, tokenizerCalls, inferences, disposals,
+ *   and settable failLoads / gate
+ * @param {Object} [options={}]
+ * @param {number} [options.maxLength=512] - Model input limit of the stubs
+ * @returns {Promise<void>}
+ */
+async function withStubModels(fn, { maxLength = 512 } = {}) {
+  const originalModel = AutoModelForSequenceClassification.from_pretrained;
+  const originalTokenizer = AutoTokenizer.from_pretrained;
+  const stub = { loads: [], tokenizerCalls: [], inferences: 0, disposals: 0, failLoads: false, gate: null };
+
+  AutoModelForSequenceClassification.from_pretrained = async (modelName, options) => {
+    stub.loads.push({ modelName, options });
+    if (stub.failLoads) throw new Error('stub load failure');
+    return createStubModel(stub, modelName === STUB_MODEL_TWO_LABEL ? 2 : 1, maxLength);
+  };
+  AutoTokenizer.from_pretrained = async () => createStubTokenizer(stub, maxLength);
+
+  try {
+    await fn(stub);
+  } finally {
+    AutoModelForSequenceClassification.from_pretrained = originalModel;
+    AutoTokenizer.from_pretrained = originalTokenizer;
+    // Leave no model behind for the next test, even when this one failed
+    if (ModelLoader.getCachedModels().length > 0 || Object.keys(ModelLoader.getRefCounts()).length > 0) {
+      ModelLoader.clearCache();
+    }
+  }
+}
+
+/**
+ * Run the registered unit tests
+ * @param {Object} [options={}]
+ * @param {string|null} [options.filter=null] - Only run tests whose name contains this text
+ * @returns {Promise<{passed: number, failed: number}>}
+ */
+async function runUnitTests({ filter = null } = {}) {
+  const tests = filter ? UNIT_TESTS.filter(({ name }) => name.includes(filter)) : UNIT_TESTS;
+  console.log(`\n=== Reranker Unit Tests (${tests.length}) ===\n`);
+
+  unitCacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reranker-unit-'));
+  let failed = 0;
+  try {
+    for (const { name, fn } of tests) {
+      try {
+        await fn();
+        console.log(`  ✓ ${name}`);
+      } catch (error) {
+        failed++;
+        console.log(`  ✗ ${name}`);
+        console.log(`      ${String(error.stack || error).split('\n').join('\n      ')}`);
+      }
+    }
+  } finally {
+    fs.rmSync(unitCacheDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n${tests.length - failed}/${tests.length} unit tests passed\n`);
+  return { passed: tests.length - failed, failed };
+}
+
+// ====================================================================
+// UNIT TESTS
+// ====================================================================
+
+// --- Passage windowing ---
+
+unitTest('windowing: pools window scores by max, mean and top-n-mean', () => {
+  assert.equal(poolWindowScores([0.2, 0.9, 0.4], 'max', 2), 0.9);
+  assert.equal(poolWindowScores([0.2, 0.8, 0.5], 'mean', 2), 0.5);
+  assertClose(poolWindowScores([0.2, 0.8, 0.4], 'top-n-mean', 2), 0.6);
+});
+
+unitTest('windowing: windows fit the model input and cover the whole passage', () => withStubModels(async () => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+  try {
+    const passage = Array.from({ length: 300 }, (_, i) => `word${i}`).join(' ') + ' needle';
+    const windows = reranker.modelLoader.createPassageWindows('find the needle', passage, { maxTokens: 100, overlap: 20 });
+
+    assert.ok(windows.length > 3);
+    for (const window of windows) {
+      assert.equal(window.text, passage.slice(window.start, window.end));
+      assert.ok(stubWords(window.text).length <= 100);
+    }
+    assert.equal(windows[0].start, 0);
+    assert.equal(windows.at(-1).end, passage.length);
+    // Consecutive windows overlap
+    assert.ok(windows[1].start < windows[0].end);
+  } finally {
+    await reranker.dispose();
+  }
+}, { maxLength: 512 }));
+
+unitTest('windowing: a relevant tail past the input limit still scores with windowing', () => withStubModels(async () => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+  try {
+    const filler = Array.from({ length: 120 }, (_, i) => `filler${i}`).join(' ');
+    const documents = [`${filler} needle haystack`, 'unrelated text'];
+
+    const plain = await reranker.rerank('needle haystack', documents);
+    const windowed = await reranker.rerank('needle haystack', documents, { windowing: { overlap: 8 } });
+
+    // Without windowing the tail is truncated away; with it the best window finds it
+    assert.ok(plain.find(r => r._rerank_corpus_id === 0)._rerank_score < 0.5);
+    const best = windowed.find(r => r._rerank_corpus_id === 0);
+    assert.ok(best._rerank_score > 0.9);
+    assert.ok(best._rerank_windows > 1);
+    assert.ok(best._rerank_best_window.text.includes('needle haystack'));
+  } finally {
+    await reranker.dispose();
+  }
+}, { maxLength: 64 }));
+
+unitTest('windowing: rejects malformed windowing options before any inference', () => withStubModels(async (stub) => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+  try {
+    for (const windowing of ['yes', 1, [], { maxTokens: 0 }, { maxTokens: 2.5 }, { overlap: 'x' }, { overlap: -1 },
+      { maxTokens: 50, overlap: 50 }, { pooling: 'median' }, { topN: 'x' }, { topN: 0 }]) {
+      await assert.rejects(reranker.rerank('q', ['a b c'], { windowing }), { code: 'INVALID_INPUT', param: 'windowing' }, JSON.stringify(windowing));
+    }
+    assert.equal(stub.inferences, 0);
+
+    // null and false turn windowing off
+    assert.equal((await reranker.rerank('q', ['a'], { windowing: false })).length, 1);
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+// --- Multi-query reranking ---
+
+unitTest('rerankMany: ranks each query on its own, packing pairs into shared batches', () => withStubModels(async (stub) => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+  try {
+    const [cats, dogs] = await reranker.rerankMany(
+      ['cats', 'dogs'],
+      [['dogs bark', 'cats purr', 'fish swim'], ['cats purr', 'dogs bark', 'birds sing']],
+      { topK: 2, batchSize: 4 }
+    );
+
+    assert.deepEqual(cats.map(r => r.text), ['cats purr', 'dogs bark']);
+    assert.deepEqual(dogs.map(r => r.text), ['dogs bark', 'cats purr']);
+    assert.equal(dogs[0]._rerank_corpus_id, 1);
+    // 6 pairs in batches of 4, across both queries
+    assert.equal(stub.inferences, 2);
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+unitTest('rerankMany: rejects mismatched queries and document lists before inference', () => withStubModels(async (stub) => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+  try {
+    await assert.rejects(reranker.rerankMany(['a', 'b'], [['x']]), { code: 'INVALID_INPUT', param: 'documentsPerQuery' });
+    await assert.rejects(reranker.rerankMany('a', [['x']]), { code: 'INVALID_INPUT', param: 'documentsPerQuery' });
+    assert.equal(stub.inferences, 0);
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+// --- Streaming rerank ---
+
+unitTest('rerankStream: TopKHeap keeps the K best results, earlier documents winning ties', () => {
+  const heap = new TopKHeap(3);
+  [0.5, 0.9, 0.1, 0.7, 0.9, 0.3].forEach((score, id) => heap.push({ _rerank_score: score, _rerank_corpus_id: id }));
+
+  assert.deepEqual(heap.toSortedArray().map(r => r._rerank_corpus_id), [1, 4, 3]);
+  assert.equal(heap.threshold(), 0.7);
+  assert.equal(new TopKHeap(2).threshold(), null);
+});
+
+unitTest('rerankStream: matches rerank() and reports progress per batch', () => withStubModels(async () => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+  try {
+    const documents = ['red fox', 'blue whale', 'red panda', 'green frog', 'red red fox', 'grey wolf', 'red'];
+    async function* source() { yield* documents; }
+
+    const stream = reranker.rerankStream('red fox', source(), { topK: 3, batchSize: 2 });
+    const progress = [];
+    stream.on('progress', ({ processed }) => progress.push(processed));
+    const streamed = await stream.done;
+
+    const ranked = await reranker.rerank('red fox', documents, { topK: 3 });
+    assert.deepEqual(streamed.map(r => [r._rerank_corpus_id, r._rerank_score]), ranked.map(r => [r._rerank_corpus_id, r._rerank_score]));
+    assert.deepEqual(progress, [2, 4, 6, 7]);
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+unitTest('rerankStream: failures reach \'error\' listeners without an unhandled rejection', () => withStubModels(async () => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+  try {
+    async function* failing() { yield 'a'; throw new Error('cursor closed'); }
+
+    // Event-only consumer: never awaits `done`
+    const stream = reranker.rerankStream('q', failing(), { batchSize: 1 });
+    const emitted = await waitForEvent(stream, 'error');
+    assert.equal(emitted.message, 'cursor closed');
+
+    // A consumer without listeners still sees the rejection through `done`
+    await assert.rejects(reranker.rerankStream('q', failing()).done, /cursor closed/);
+
+    // A failed stream followed through 'end' only
+    reranker.rerankStream('q', failing(), { batchSize: 1 }).on('end', () => {});
+
+    // A timed-out stream followed through 'end' only
+    const gated = reranker.rerankStream('q', (async function* () { yield 'a'; await new Promise(r => setTimeout(r, 30)); yield 'b'; })(), { timeoutMs: 10, batchSize: 1 });
+    gated.on('end', () => {});
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    assert.deepEqual(unhandled, []);
+  } finally {
+    process.off('unhandledRejection', onUnhandled);
+    await reranker.dispose();
+  }
+}));
+
+// --- Score calibration ---
+
+unitTest('calibration: Platt and temperature fits keep the ranking; Platt corrects a biased model', () => {
+  const scores = [0.95, 0.9, 0.85, 0.8, 0.7, 0.6, 0.55, 0.5];
+  const labels = [true, true, true, false, true, false, false, false];
+
+  for (const method of ['platt', 'temperature']) {
+    const calibrator = new ScoreCalibrator({ logger: silentLogger });
+    calibrator.setCalibration(STUB_MODEL, ScoreCalibrator.fit(scores, labels, { method }));
+    const calibrated = scores.map(score => calibrator.apply(STUB_MODEL, score));
+
+    for (let i = 1; i < calibrated.length; i++) {
+      assert.ok(calibrated[i] < calibrated[i - 1], `${method} keeps the order`);
+    }
+    if (method === 'platt') {
+      // The raw scores are all >= 0.5 although half the examples are not relevant; the bias fixes that
+      assert.ok(calibrated.at(-1) < 0.5);
+    }
+  }
+});
+
+unitTest('calibration: fit() rejects single-class labels and unknown methods', () => {
+  assert.throws(() => ScoreCalibrator.fit([0.2, 0.8], [true, true]), { code: 'INVALID_INPUT', param: 'labels' });
+  assert.throws(() => ScoreCalibrator.fit([0.2], [true, false]), { code: 'INVALID_INPUT', param: 'labels' });
+  assert.throws(() => ScoreCalibrator.fit([0.2, 0.8], [false, true], { method: 'isotonic' }), { code: 'INVALID_INPUT', param: 'method' });
+});
+
+unitTest('calibration: parameters and thresholds survive a save/load round trip', () => {
+  const filePath = path.join(unitCacheDir, 'calibration-roundtrip.json');
+  const calibrator = new ScoreCalibrator({ filePath, logger: silentLogger });
+  calibrator.setThreshold(STUB_MODEL, 0.7);
+  calibrator.setCalibration(STUB_MODEL, { method: 'temperature', temperature: 2 });
+  calibrator.save();
+
+  const loaded = new ScoreCalibrator({ filePath, logger: silentLogger });
+  assert.equal(loaded.getThreshold(STUB_MODEL), 0.7);
+  assert.equal(loaded.getThreshold('other/model'), 0.5);
+  assertClose(loaded.apply(STUB_MODEL, 0.8), 1 / (1 + Math.exp(-Math.log(4) / 2)));
+  assert.equal(loaded.apply('other/model', 0.8), 0.8);
+  assert.throws(() => loaded.setThreshold(STUB_MODEL, 1.5), { code: 'INVALID_INPUT', param: 'threshold' });
+});
+
+unitTest('calibration: calibrate() rejects malformed examples before scoring them', () => withStubModels(async (stub) => {
+  const reranker = new NativeEmbeddingReranker(unitOptions({ calibration: new ScoreCalibrator({ logger: silentLogger }) }));
+  await reranker.initialize();
+  try {
+    const valid = { query: 'red fox', document: 'a red fox', relevant: true };
+    for (const examples of [[], 'examples', [valid, null], [valid, { query: 'red fox', document: 'a cat' }],
+      [valid, { query: 'red fox', document: 'a cat', relevant: 'no' }], [valid, { query: 'red fox', document: 'a cat', relevant: 2 }],
+      [valid, { query: ' ', document: 'a cat', relevant: false }], [valid, { query: 'red fox', document: null, relevant: false }]]) {
+      await assert.rejects(reranker.calibrate(examples, { save: false }), { code: 'INVALID_INPUT', param: 'examples' });
+    }
+    assert.equal(stub.inferences, 0);
+
+    // 1/0 labels count like true/false
+    const params = await reranker.calibrate([valid, { query: 'red fox', document: { text: 'a cat' }, relevant: 0 }], { save: false });
+    assert.equal(params.samples, 2);
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+unitTest('logger: the console logger prints only messages at or above its level', () => {
+  const printed = [];
+  const original = { debug: console.debug, info: console.info, warn: console.warn, error: console.error };
+  for (const method of Object.keys(original)) console[method] = (message) => printed.push(message);
+  try {
+    const logger = createConsoleLogger('warn');
+    logger.debug('d');
+    logger.info('i');
+    logger.warn('w');
+    logger.error('e');
+    createConsoleLogger('silent').error('hidden');
+  } finally {
+    Object.assign(console, original);
+  }
+  assert.deepEqual(printed, ['[WARN] w', '[ERROR] e']);
+});
+
+unitTest('logger: the stderr console logger prints every level through console.error', () => {
+  const printed = [];
+  const original = { debug: console.debug, info: console.info, warn: console.warn, error: console.error };
+  for (const method of Object.keys(original)) console[method] = (message) => printed.push(`${method}: ${message}`);
+  try {
+    const logger = createConsoleLogger('info', { stderr: true });
+    logger.debug('d');
+    logger.info('i');
+    logger.warn('w');
+  } finally {
+    Object.assign(console, original);
+  }
+  assert.deepEqual(printed, ['error: [INFO] i', 'error: [WARN] w']);
+});
+
+// --- Raw logits and score heads ---
+
+unitTest('score heads: built-in heads turn the same logits into the expected scores', () => withStubModels(async () => {
+  const scoresFor = async (scoreHead, model = STUB_MODEL_TWO_LABEL) => {
+    const reranker = new NativeEmbeddingReranker(unitOptions({ model, scoreHead }));
+    await reranker.initialize();
+    try {
+      // Two query words found → logits [-3, 3]
+      const [result] = await reranker.rerank('red fox', ['red fox'], { returnLogits: true });
+      return result;
+    } finally {
+      await reranker.dispose();
+    }
+  };
+
+  const auto = await scoresFor('auto');
+  assert.deepEqual(auto._rerank_logits, [-3, 3]);
+  assertClose(auto._rerank_score, 1 / (1 + Math.exp(-6)));
+  assertClose(auto._rerank_distribution[1], auto._rerank_score);
+  assertClose((await scoresFor('sigmoid'))._rerank_score, 1 / (1 + Math.exp(-3)));
+  assert.equal((await scoresFor('raw-logit'))._rerank_score, 3);
+  assertClose((await scoresFor('log-softmax-margin'))._rerank_score, 6);
+  assert.equal((await scoresFor({ head: 'raw-logit', labelIndex: 0 }))._rerank_score, -3);
+  assert.equal((await scoresFor((logits) => logits[1] - logits[0]))._rerank_score, 6);
+  assertClose((await scoresFor('auto', STUB_MODEL))._rerank_score, 1 / (1 + Math.exp(-3)));
+  assert.throws(() => new NativeEmbeddingReranker(unitOptions({ scoreHead: 'tanh' })), { code: 'INVALID_INPUT', param: 'scoreHead' });
+}));
+
+unitTest('score heads: calibration keeps the ranking of raw-logit and margin heads', () => withStubModels(async () => {
+  const documents = ['alpha', 'alpha beta', 'alpha beta gamma', 'alpha beta gamma delta'];
+  const examples = [
+    ...documents.map(document => ({ query: 'alpha beta gamma delta', document, relevant: document.length > 12 })),
+    { query: 'alpha beta gamma delta', document: 'nothing', relevant: false }
+  ];
+
+  for (const scoreHead of ['raw-logit', 'log-softmax-margin']) {
+    const reranker = new NativeEmbeddingReranker(unitOptions({ model: STUB_MODEL_TWO_LABEL, scoreHead, calibration: new ScoreCalibrator({ logger: silentLogger }) }));
+    await reranker.initialize();
+    try {
+      // These scores lie outside (0, 1); read as probabilities they would all clamp to one value
+      await reranker.calibrate(examples, { method: 'platt' });
+      const results = await reranker.rerank('alpha beta gamma delta', documents);
+
+      assert.deepEqual(results.map(r => r.text), [...documents].reverse(), scoreHead);
+      assert.equal(new Set(results.map(r => r._rerank_score)).size, documents.length, `${scoreHead}: distinct scores`);
+      assert.ok(results.every(r => r._rerank_score > 0 && r._rerank_score < 1), `${scoreHead}: probabilities`);
+    } finally {
+      await reranker.dispose();
+    }
+  }
+}));
+
+unitTest('score heads: custom heads cannot be calibrated', () => withStubModels(async () => {
+  const reranker = new NativeEmbeddingReranker(unitOptions({ scoreHead: (logits) => logits[0], calibration: new ScoreCalibrator({ logger: silentLogger }) }));
+  await reranker.initialize();
+  try {
+    await assert.rejects(
+      reranker.calibrate([{ query: 'a', document: 'a', relevant: true }, { query: 'a', document: 'b', relevant: false }]),
+      { code: 'INVALID_INPUT', param: 'scoreHead' }
+    );
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+// --- Score cache ---
+
+unitTest('score cache: evicts the least recently used pair when full', () => {
+  const cache = new ScoreCache({ maxEntries: 2, logger: silentLogger });
+  cache.set(STUB_MODEL, 'q', 'a', [1]);
+  cache.set(STUB_MODEL, 'q', 'b', [2]);
+  assert.deepEqual(cache.get(STUB_MODEL, 'q', 'a'), [1]); // 'a' is now the most recently used
+  cache.set(STUB_MODEL, 'q', 'c', [3]);
+
+  assert.equal(cache.get(STUB_MODEL, 'q', 'b'), null);
+  assert.deepEqual(cache.get(STUB_MODEL, 'q', 'c'), [3]);
+  assert.equal(cache.get('other/model', 'q', 'c'), null);
+  assert.deepEqual(cache.getStats(), { size: 2, maxEntries: 2, hits: 2, misses: 2, hitRate: 0.5, evictions: 1 });
+});
+
+unitTest('score cache: rejects invalid maxEntries and ttlMs', () => {
+  for (const maxEntries of [0, -1, 1.5, '10']) {
+    assert.throws(() => new ScoreCache({ maxEntries }), { code: 'INVALID_INPUT', param: 'maxEntries' });
+  }
+  for (const ttlMs of [0, -5, '1000', NaN]) {
+    assert.throws(() => new ScoreCache({ ttlMs }), { code: 'INVALID_INPUT', param: 'ttlMs' });
+  }
+  assert.equal(new ScoreCache({ ttlMs: null, logger: silentLogger }).ttlMs, null);
+});
+
+unitTest('score cache: expires entries after ttlMs, also when loading from disk', async () => {
+  const filePath = path.join(unitCacheDir, 'score-cache-ttl.json');
+  const cache = new ScoreCache({ ttlMs: 30, filePath, logger: silentLogger });
+  cache.set(STUB_MODEL, 'q', 'a', [1]);
+  cache.save();
+  assert.deepEqual(new ScoreCache({ ttlMs: 30, filePath, logger: silentLogger }).get(STUB_MODEL, 'q', 'a'), [1]);
+
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(cache.get(STUB_MODEL, 'q', 'a'), null);
+  assert.equal(new ScoreCache({ ttlMs: 30, filePath, logger: silentLogger }).getStats().size, 0);
+});
+
+unitTest('score cache: repeated pairs skip inference and clear() is per model', () => withStubModels(async (stub) => {
+  const reranker = new NativeEmbeddingReranker(unitOptions({ scoreCache: true }));
+  await reranker.initialize();
+  try {
+    const first = await reranker.rerank('red fox', ['red fox', 'blue whale']);
+    const second = await reranker.rerank('red fox', ['blue whale', 'red fox']);
+
+    assert.equal(stub.inferences, 1);
+    assert.deepEqual(second.map(r => r._rerank_score), first.map(r => r._rerank_score));
+    assert.equal(reranker.scoreCache.getStats().hits, 2);
+
+    reranker.scoreCache.clear('other/model');
+    assert.equal(reranker.scoreCache.getStats().size, 2);
+    reranker.scoreCache.clear(STUB_MODEL);
+    assert.equal(reranker.scoreCache.getStats().size, 0);
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+// --- Dynamic batching ---
+
+unitTest('dynamic batching: planLengthBatches buckets by length under the token budget', () => {
+  const lengths = [10, 100, 12, 95, 11, 300];
+  const batches = planLengthBatches(lengths, { tokenBudget: 200, maxBatchSize: 8 });
+
+  assert.deepEqual(batches, [[0, 4, 2], [3, 1], [5]]);
+  for (const batch of batches.slice(0, -1)) {
+    assert.ok(batch.length * Math.max(...batch.map(i => lengths[i])) <= 200);
+  }
+  // The item longer than the budget gets a batch of its own
+  assert.deepEqual(batches.at(-1), [5]);
+  // maxBatchSize still caps a batch
+  assert.deepEqual(planLengthBatches([1, 1, 1, 1, 1], { tokenBudget: 1000, maxBatchSize: 2 }), [[0, 1], [2, 3], [4]]);
+});
+
+unitTest('dynamic batching: rerank() sends similar lengths together and keeps scores unchanged', () => withStubModels(async (stub) => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+  try {
+    const long = (n) => Array.from({ length: n }, (_, i) => `w${i}`).join(' ');
+    const documents = ['fox', long(80), 'red fox', long(85), 'a fox', long(90)];
+
+    const plain = await reranker.rerank('red fox', documents, { batchSize: 6 });
+    stub.tokenizerCalls.length = 0;
+    const bucketed = await reranker.rerank('red fox', documents, { batchSize: 6, dynamicBatching: { tokenBudget: 300 } });
+
+    assert.deepEqual(bucketed.map(r => [r._rerank_corpus_id, r._rerank_score]), plain.map(r => [r._rerank_corpus_id, r._rerank_score]));
+    // Short and long documents never share a batch
+    assert.equal(stub.tokenizerCalls.length, 2);
+    for (const { lengths, paddedLength } of stub.tokenizerCalls) {
+      assert.ok(Math.max(...lengths) - Math.min(...lengths) < 20);
+      // Batches pad to their longest pair, so they stay under the padded-token budget
+      assert.equal(paddedLength, Math.max(...lengths));
+      assert.ok(paddedLength * lengths.length <= 300);
+    }
+    await assert.rejects(reranker.rerank('q', ['d'], { dynamicBatching: { tokenBudget: 0 } }), { code: 'INVALID_INPUT', param: 'dynamicBatching' });
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+// --- Worker-thread inference ---
+
+/**
+ * Write a stand-in worker script for InferencePool into the scratch directory
+ * @param {string} name - File name
+ * @param {string} body - Module code run after `parentPort` is imported
+ * @returns {URL}
+ */
+function writeWorkerScript(name, body) {
+  const file = path.join(unitCacheDir, name);
+  fs.writeFileSync(file, `import { parentPort } from 'worker_threads';\n${body}\n`);
+  return pathToFileURL(file);
+}
+
+/**
+ * Fail if a promise does not settle in time, so a hang shows up as a test failure
+ * @param {Promise} promise
+ * @param {number} [timeoutMs=5000]
+ * @returns {Promise<*>}
+ */
+function withinTimeout(promise, timeoutMs = 5000) {
+  let timer;
+  const timeout = new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`did not settle within ${timeoutMs}ms`)), timeoutMs); });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Answers every batch with one logit per pair: the pair's character count, or exits on a 'crash' query
+const ECHO_WORKER = `
+parentPort.postMessage({ type: 'ready' });
+parentPort.on('message', ({ type, id, pairs }) => {
+  if (type !== 'run') return;
+  if (pairs.some(([query]) => query === 'crash')) process.exit(1);
+  parentPort.postMessage({ type: 'result', id, logits: pairs.map(([query, passage]) => [query.length + passage.length]) });
+});`;
+
+unitTest('inference pool: runs batches across workers and rejects work after close()', async () => {
+  const pool = new InferencePool({ modelName: STUB_MODEL, size: 2, logger: silentLogger, workerScript: writeWorkerScript('echo-worker.mjs', ECHO_WORKER) });
+  try {
+    await withinTimeout(pool.start());
+    const results = await withinTimeout(Promise.all([1, 2, 3, 4, 5].map(n => pool.run([['q', 'x'.repeat(n)]]))));
+
+    assert.deepEqual(results, [[[2]], [[3]], [[4]], [[5]], [[6]]]);
+    assert.deepEqual(pool.getStats(), { size: 2, workers: 2, busy: 0, queued: 0, completed: 5 });
+  } finally {
+    await pool.close();
+  }
+  await assert.rejects(pool.run([['q', 'x']]), { code: 'INFERENCE_FAILED' });
+  assert.throws(() => new InferencePool({ modelName: STUB_MODEL, size: 0 }), { code: 'INVALID_INPUT', param: 'workers' });
+});
+
+unitTest('inference pool: a crashed worker fails its batch and is replaced', async () => {
+  const pool = new InferencePool({ modelName: STUB_MODEL, size: 1, logger: silentLogger, workerScript: writeWorkerScript('crashing-worker.mjs', ECHO_WORKER) });
+  try {
+    await withinTimeout(pool.start());
+    await assert.rejects(withinTimeout(pool.run([['crash', 'x']])), { code: 'INFERENCE_FAILED' });
+    assert.deepEqual(await withinTimeout(pool.run([['q', 'xy']])), [[3]]);
+  } finally {
+    await pool.close();
+  }
+});
+
+unitTest('inference pool: a worker that exits before it is ready fails start() instead of hanging', async () => {
+  const pool = new InferencePool({ modelName: STUB_MODEL, size: 2, logger: silentLogger, workerScript: writeWorkerScript('exiting-worker.mjs', 'process.exit(0);') });
+  try {
+    await assert.rejects(withinTimeout(pool.start()), { code: 'MODEL_LOAD_FAILED' });
+  } finally {
+    await pool.close();
+  }
+});
+
+unitTest('inference pool: a failed start() terminates its workers and can be retried', async () => {
+  // Workers only come up once the flag file exists
+  const flag = path.join(unitCacheDir, 'pool-ready.flag');
+  fs.rmSync(flag, { force: true });
+  const workerScript = writeWorkerScript('flagged-worker.mjs', `import fs from 'fs';
+if (!fs.existsSync(${JSON.stringify(flag)})) process.exit(1);
+${ECHO_WORKER}`);
+
+  const pool = new InferencePool({ modelName: STUB_MODEL, size: 2, logger: silentLogger, workerScript });
+  try {
+    await assert.rejects(withinTimeout(pool.start()), { code: 'MODEL_LOAD_FAILED' });
+    assert.equal(pool.getStats().workers, 0);
+
+    fs.writeFileSync(flag, '');
+    await withinTimeout(pool.start());
+    assert.equal(pool.getStats().workers, 2);
+    assert.deepEqual(await withinTimeout(pool.run([['q', 'x']])), [[2]]);
+  } finally {
+    await pool.close();
+  }
+});
+
+// --- Cancellation and deadlines ---
+
+unitTest('abort: an already-aborted signal stops rerank() before any inference', () => withStubModels(async (stub) => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+  try {
+    const controller = new AbortController();
+    controller.abort('client left');
+    const error = await reranker.rerank('cats', ['cats purr', 'dogs bark'], { signal: controller.signal }).catch(e => e);
+
+    assert.ok(error instanceof AbortError);
+    assert.equal(error.code, 'ABORTED');
+    assert.equal(error.timedOut, false);
+    assert.equal(error.reason, 'client left');
+    assert.deepEqual(error.partialResults, []);
+    assert.equal(stub.inferences, 0);
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+unitTest('abort: a signal fired mid-call stops at the next batch and keeps the scored documents', () => withStubModels(async (stub) => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+  try {
+    const controller = new AbortController();
+    // Fire the signal while the first batch is running
+    stub.gate = { then: (resolve) => { controller.abort(); resolve(); } };
+    const documents = ['dogs bark', 'cats purr', 'cats nap', 'fish swim'];
+    const error = await reranker.rerank('cats', documents, { signal: controller.signal, batchSize: 2 }).catch(e => e);
+
+    assert.equal(error.code, 'ABORTED');
+    assert.equal(stub.inferences, 1);
+    assert.deepEqual(error.partialResults.map(r => r.text), ['cats purr', 'dogs bark']);
+
+    const complete = await reranker.rerank('cats', documents, { signal: new AbortController().signal, batchSize: 2 });
+    assert.equal(complete.length, 4);
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+unitTest('abort: timeoutMs raises TIMEOUT, or returns the partial top-K with partialOnAbort', () => withStubModels(async (stub) => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+  try {
+    stub.gate = { then: (resolve) => setTimeout(resolve, 30) };
+    const documents = ['dogs bark', 'cats purr', 'cats nap', 'fish swim'];
+
+    const error = await reranker.rerank('cats', documents, { timeoutMs: 10, batchSize: 1 }).catch(e => e);
+    assert.ok(error instanceof AbortError);
+    assert.equal(error.code, 'TIMEOUT');
+    assert.equal(error.timedOut, true);
+    assert.equal(error.partialResults.length, 1);
+
+    const partial = await reranker.rerank('cats', documents, { timeoutMs: 10, batchSize: 1, partialOnAbort: true, topK: 3 });
+    assert.deepEqual(partial.map(r => r.text), ['dogs bark']);
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+unitTest('abort: malformed timeoutMs and signal are rejected before any inference', () => withStubModels(async (stub) => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+  try {
+    for (const timeoutMs of [0, -1, NaN, Infinity, '100']) {
+      await assert.rejects(reranker.rerank('cats', ['cats purr'], { timeoutMs }), { code: 'INVALID_INPUT', param: 'timeoutMs' });
+    }
+    for (const signal of [true, 'abort', { aborted: false }]) {
+      await assert.rejects(reranker.rerank('cats', ['cats purr'], { signal }), { code: 'INVALID_INPUT', param: 'signal' });
+    }
+    assert.throws(() => reranker.rerankStream('cats', ['cats purr'], { timeoutMs: 0 }), { code: 'INVALID_INPUT', param: 'timeoutMs' });
+    assert.equal(stub.inferences, 0);
+
+    // null means "no deadline" and "no signal"
+    assert.equal((await reranker.rerank('cats', ['cats purr'], { timeoutMs: null, signal: null })).length, 1);
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+// --- HTTP server ---
+
+/**
+ * Run a test against a rerank server listening on a free local port
+ * @param {Object} options - createRerankServer() options; the stub model and silent logging are filled in
+ * @param {Function} fn - async (request) => void, where request(method, path, body?) resolves to {status, body}
+ * @returns {Promise<void>}
+ */
+async function withServer(options, fn) {
+  const server = createRerankServer({
+    defaultModel: STUB_MODEL,
+    models: [STUB_MODEL],
+    ...options,
+    rerankerOptions: { cacheDir: unitCacheDir, logLevel: 'silent', ...options.rerankerOptions }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  const request = async (method, urlPath, body) => {
+    const response = await fetch(`http://127.0.0.1:${port}${urlPath}`, {
+      method,
+      headers: body === undefined ? {} : { 'content-type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    await fn(request);
+  } finally {
+    server.closeAllConnections();
+    await closeRerankServer(server);
+  }
+}
+
+unitTest('server: POST /rerank ranks documents in the hosted-API response shape', () => withStubModels(async () => {
+  await withServer({}, async (request) => {
+    const { status, body } = await request('POST', '/rerank', {
+      query: 'cats',
+      documents: ['dogs bark', { text: 'cats purr', id: 7 }, 'fish swim'],
+      top_n: 2,
+      return_documents: true
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.model, STUB_MODEL);
+    assert.deepEqual(body.results.map(r => r.index), [1, 0]);
+    assert.deepEqual(body.results[0].document, { text: 'cats purr', id: 7 });
+    assert.deepEqual(body.results[1].document, { text: 'dogs bark' });
+    assert.ok(body.results[0].relevance_score > body.results[1].relevance_score);
+
+    const all = await request('POST', '/rerank', { query: 'cats', documents: ['dogs bark', 'cats purr', 'fish swim'] });
+    assert.equal(all.body.results.length, 3);
+    assert.equal(all.body.results[0].document, undefined);
+  });
+}));
+
+unitTest('server: rejects bad requests with 400, 404 and 405 before loading a model', () => withStubModels(async (stub) => {
+  await withServer({ maxDocuments: 2 }, async (request) => {
+    const badRequests = [
+      { model: 'other/model', query: 'q', documents: ['a'] },
+      { query: ' ', documents: ['a'] },
+      { query: 'q', documents: 'a' },
+      { query: 'q', documents: ['a', 'b', 'c'] },
+      { query: 'q', documents: ['a'], top_n: 0 }
+    ];
+    for (const body of badRequests) {
+      assert.equal((await request('POST', '/rerank', body)).status, 400, JSON.stringify(body));
+    }
+    assert.equal((await request('GET', '/rerank')).status, 405);
+    assert.equal((await request('GET', '/nowhere')).status, 404);
+    assert.equal(stub.loads.length, 0);
+  });
+}));
+
+unitTest('server: an oversized body is answered with 413, not a dropped connection', () => withStubModels(async (stub) => {
+  await withServer({ maxBodyBytes: 1024 }, async (request) => {
+    const { status, body } = await request('POST', '/rerank', { query: 'q', documents: ['x'.repeat(1024 * 1024)] });
+
+    assert.equal(status, 413);
+    assert.match(body.error.message, /exceeds 1024 bytes/);
+    assert.equal(stub.loads.length, 0);
+
+    // The server keeps serving afterwards
+    assert.equal((await request('GET', '/health')).status, 200);
+  });
+}));
+
+unitTest('server: GET /models and /health report the allowed and loaded models', () => withStubModels(async () => {
+  await withServer({}, async (request) => {
+    const before = await request('GET', '/models');
+    assert.equal(before.status, 200);
+    assert.deepEqual(before.body.data.map(({ id, default: isDefault, loaded }) => ({ id, isDefault, loaded })), [{ id: STUB_MODEL, isDefault: true, loaded: false }]);
+
+    await request('POST', '/rerank', { query: 'cats', documents: ['cats purr'] });
+    assert.equal((await request('GET', '/models')).body.data[0].loaded, true);
+
+    const health = await request('GET', '/health');
+    assert.equal(health.status, 200);
+    assert.equal(health.body.status, 'ok');
+    assert.deepEqual(health.body.loadedModels, [STUB_MODEL]);
+  });
+}));
+
+unitTest('server: batches by the registry batch size unless batchSize is set', () => withStubModels(async (stub) => {
+  ModelRegistry.register('test/small-batches', { batchSize: 2 });
+  const options = { defaultModel: 'test/small-batches', models: ['test/small-batches'] };
+  const documents = ['dogs bark', 'cats purr', 'fish swim'];
+  try {
+    for (const [serverOptions, batches] of [[options, [2, 1]], [{ ...options, batchSize: 3 }, [3]]]) {
+      stub.tokenizerCalls.length = 0;
+      await withServer(serverOptions, async (request) => {
+        assert.equal((await request('POST', '/rerank', { query: 'cats', documents })).status, 200);
+      });
+      assert.deepEqual(stub.tokenizerCalls.map(call => call.pairs), batches);
+    }
+  } finally {
+    ModelRegistry.unregister('test/small-batches');
+  }
+}));
+
+unitTest('server: closeRerankServer() resolves once the loaded models are disposed', () => withStubModels(async (stub) => {
+  await withServer({}, async (request) => {
+    assert.equal((await request('POST', '/rerank', { query: 'cats', documents: ['cats purr'] })).status, 200);
+    assert.deepEqual(ModelLoader.getRefCounts(), { [STUB_MODEL]: 1 });
+  });
+
+  // withServer() shuts the server down through closeRerankServer()
+  assert.deepEqual(ModelLoader.getRefCounts(), {});
+  assert.equal(stub.disposals, 1);
+}));
+
+unitTest('server: the command line rejects invalid numbers at startup', () => {
+  const serverScript = fileURLToPath(new URL('./server.js', import.meta.url));
+  for (const args of [['--timeout-ms', 'abc'], ['--max-models', '1.5'], ['--port', 'http']]) {
+    assert.throws(() => execFileSync(process.execPath, [serverScript, ...args], { encoding: 'utf8', stdio: 'pipe', timeout: 30000 }),
+      (error) => error.status === 1 && error.stderr.includes(`${args[0]} must be`), args.join(' '));
+  }
+});
+
+// --- Command-line reranker ---
+
+unitTest('cli: parseCsv handles quoted fields, escaped quotes, embedded newlines and CRLF', () => {
+  const rows = parseCsv('query_id,query,text\r\nq1,"cats, purring","says ""hi""\nover two lines"\r\n\r\nq2,dogs,bark');
+
+  assert.deepEqual(rows, [
+    { query_id: 'q1', query: 'cats, purring', text: 'says "hi"\nover two lines' },
+    { query_id: 'q2', query: 'dogs', text: 'bark' }
+  ]);
+  assert.deepEqual(parseCsv('a,b\n1\n'), [{ a: '1', b: '' }]);
+});
+
+unitTest('cli: parseJsonl skips blank lines and reports the line of invalid JSON', () => {
+  assert.deepEqual(parseJsonl('{"a":1}\n\n{"a":2}\n'), [{ a: 1 }, { a: 2 }]);
+  assert.throws(() => parseJsonl('{"a":1}\n{oops}'), /line 2/);
+});
+
+unitTest('cli: groupRows groups flat and grouped rows and numbers candidates without ids', () => {
+  const groups = groupRows([
+    { query_id: 'q1', query: 'cats', doc_id: 'd9', text: 'cats purr', source: 'bm25' },
+    { query: 'dogs', text: 'dogs bark' },
+    { query_id: 'q1', query: 'cats', text: 'fish swim' },
+    { query: 'dogs', documents: ['puppies', { doc_id: 'd1', text: 'wolves' }] }
+  ]);
+
+  assert.deepEqual(groups, [
+    { queryId: 'q1', query: 'cats', documents: [{ doc_id: 'd9', text: 'cats purr', source: 'bm25' }, { doc_id: '1', text: 'fish swim' }] },
+    { queryId: '2', query: 'dogs', documents: [{ doc_id: '0', text: 'dogs bark' }, { doc_id: '1', text: 'puppies' }, { doc_id: 'd1', text: 'wolves' }] }
+  ]);
+  assert.throws(() => groupRows([{ query: 'q', text: 'a' }, { text: 'b' }]), /Row 2 has no "query" field/);
+});
+
+unitTest('cli: formatResults writes ranked JSONL or TREC run lines', () => {
+  const group = { queryId: 'q1', query: 'cats', documents: [] };
+  const results = [
+    { doc_id: 'd2', text: 'cats purr', _rerank_score: 0.9, _rerank_corpus_id: 1 },
+    { doc_id: 'd1', text: 'dogs bark', _rerank_score: 0.2, _rerank_corpus_id: 0 }
+  ];
+
+  assert.equal(formatResults(group, results, 'trec', 'run1'), 'q1 Q0 d2 1 0.9 run1\nq1 Q0 d1 2 0.2 run1\n');
+  assert.deepEqual(JSON.parse(formatResults(group, results, 'jsonl', 'run1')), {
+    query_id: 'q1',
+    query: 'cats',
+    results: [{ rank: 1, score: 0.9, doc_id: 'd2', text: 'cats purr' }, { rank: 2, score: 0.2, doc_id: 'd1', text: 'dogs bark' }]
+  });
+});
+
+unitTest('cli: main() reranks a CSV file into a TREC run', () => withStubModels(async () => {
+  const input = path.join(unitCacheDir, 'candidates.csv');
+  const output = path.join(unitCacheDir, 'reranked.run');
+  fs.writeFileSync(input, 'query_id,query,doc_id,text\nq1,cats,d1,dogs bark\nq1,cats,d2,cats purr\nq2,fish,d3,fish swim\n');
+
+  await cliMain(['--input', input, '--output', output, '--output-format', 'trec', '--model', STUB_MODEL, '--cache-dir', unitCacheDir, '--log-level', 'silent', '--top-k', '1']);
+
+  const lines = fs.readFileSync(output, 'utf8').trim().split('\n').map(line => line.split(' '));
+  assert.deepEqual(lines.map(([qid, , docId, rank, , tag]) => [qid, docId, rank, tag]), [['q1', 'd2', '1', 'reranker'], ['q2', 'd3', '1', 'reranker']]);
+  await assert.rejects(cliMain(['--input', input, '--output-format', 'xml']), /Unknown output format/);
+  await assert.rejects(cliMain(['--input', input, '--log-level', 'loud']), /Unknown log level "loud"/);
+}));
+
+unitTest('cli: main() batches by the registry batch size unless --batch-size is set', () => withStubModels(async (stub) => {
+  ModelRegistry.register('test/small-batches', { batchSize: 2 });
+  const input = path.join(unitCacheDir, 'batches.csv');
+  fs.writeFileSync(input, 'query,text\ncats,dogs bark\ncats,cats purr\ncats,fish swim\n');
+  const run = async (...args) => {
+    stub.tokenizerCalls.length = 0;
+    await cliMain(['--input', input, '--output', path.join(unitCacheDir, 'batches.jsonl'), '--model', 'test/small-batches', '--cache-dir', unitCacheDir, '--log-level', 'silent', ...args]);
+    return stub.tokenizerCalls.map(call => call.pairs);
+  };
+
+  try {
+    assert.deepEqual(await run(), [2, 1]);
+    assert.deepEqual(await run('--batch-size', '3'), [3]);
+    await assert.rejects(cliMain(['--input', input, '--batch-size', '0']), /--batch-size must be a positive number/);
+  } finally {
+    ModelRegistry.unregister('test/small-batches');
+  }
+}));
+
+unitTest('cli: main() reports a failed model load without writing output', () => withStubModels(async (stub) => {
+  const input = path.join(unitCacheDir, 'candidates.csv');
+  const output = path.join(unitCacheDir, 'failed.run');
+  fs.writeFileSync(input, 'query,text\ncats,cats purr\n');
+  fs.rmSync(output, { force: true });
+  stub.failLoads = true;
+
+  await assert.rejects(cliMain(['--input', input, '--output', output, '--model', STUB_MODEL, '--cache-dir', unitCacheDir, '--log-level', 'silent']));
+  assert.equal(fs.existsSync(output), false);
+  assert.deepEqual(ModelLoader.getCachedModels(), []);
+}));
+
+unitTest('cli: runs when started through a symlink, as the npm bin does', () => {
+  const link = path.join(unitCacheDir, 'rerank');
+  fs.rmSync(link, { force: true });
+  fs.symlinkSync(fileURLToPath(new URL('./cli.js', import.meta.url)), link);
+
+  const stdout = execFileSync(process.execPath, [link, '--help'], { encoding: 'utf8', timeout: 30000 });
+  assert.match(stdout, /^Usage: /);
+});
+
+// --- Score fusion ---
+
+unitTest('fusion: linear fusion mixes min-max normalized scores, missing retrieval scores counting as the lowest', () => {
+  const results = [
+    { _rerank_score: 0.9, scores: { bm25: 0 } },
+    { _rerank_score: 0.5, scores: { bm25: 10 } },
+    { _rerank_score: 0.1 }
+  ];
+  applyScoreFusion(results, resolveFusionOptions('scores.bm25'));
+
+  results.map(r => r._rerank_fused_score).forEach((score, i) => assertClose(score, [0.5, 0.75, 0][i]));
+  assert.deepEqual(results[2]._rerank_fusion, { method: 'linear', rerankScore: 0, retrievalScore: null });
+});
+
+unitTest('fusion: rrf adds weighted reciprocal ranks and honours higherIsBetter', () => {
+  const results = [
+    { _rerank_score: 0.9, distance: 0.7 },
+    { _rerank_score: 0.5, distance: 0.2 },
+    { _rerank_score: 0.1 }
+  ];
+  applyScoreFusion(results, resolveFusionOptions({ field: 'distance', method: 'rrf', weight: 0.5, rrfK: 60, higherIsBetter: false }));
+
+  assertClose(results[0]._rerank_fused_score, 0.5 / 61 + 0.5 / 62);
+  assertClose(results[1]._rerank_fused_score, 0.5 / 62 + 0.5 / 61);
+  assertClose(results[2]._rerank_fused_score, 0.5 / 63);
+  assert.deepEqual(results[1]._rerank_fusion, { method: 'rrf', rerankRank: 2, retrievalRank: 1 });
+});
+
+unitTest('fusion: resolveFusionOptions fills defaults and rejects bad settings', () => {
+  assert.deepEqual(resolveFusionOptions('bm25'), { field: 'bm25', method: 'linear', weight: 0.5, normalization: 'min-max', rrfK: 60, higherIsBetter: true });
+  for (const fusion of [{}, { field: 'bm25', method: 'max' }, { field: 'bm25', normalization: 'l2' }, { field: 'bm25', weight: 1.5 }, { field: 'bm25', rrfK: -1 }]) {
+    assert.throws(() => resolveFusionOptions(fusion), { code: 'INVALID_INPUT', param: 'fusion' }, JSON.stringify(fusion));
+  }
+});
+
+unitTest('fusion: rerank() ranks by the fused score over the full candidate set', () => withStubModels(async () => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+  try {
+    const documents = [
+      { text: 'cats purr', bm25: 1 },
+      { text: 'cats nap', bm25: 30 },
+      { text: 'dogs bark', bm25: 20 }
+    ];
+    const plain = await reranker.rerank('cats', documents, { topK: 1 });
+    const fused = await reranker.rerank('cats', documents, { topK: 1, fusion: { field: 'bm25', weight: 0.3 } });
+
+    assert.equal(plain[0].text, 'cats purr');
+    assert.equal(fused[0].text, 'cats nap');
+    assert.equal(fused[0]._rerank_fusion.method, 'linear');
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+unitTest('fusion: handles candidate lists longer than the call-argument limit', () => {
+  const results = Array.from({ length: 200000 }, (_, i) => ({ _rerank_score: i / 200000, bm25: i % 7 }));
+  applyScoreFusion(results, resolveFusionOptions('bm25'));
+
+  assertClose(results[6]._rerank_fused_score, 0.5 * (6 / 199999) + 0.5);
+  assert.equal(results[0]._rerank_fused_score, 0);
+});
+
+// --- Model ensembles ---
+
+/**
+ * Ensemble of the two stub models that disagree: the two-label member's score head inverts its logit
+ * @param {Object} options - Extra EnsembleReranker options
+ * @param {Array<number>} [weights=[1, 1]] - Member weights
+ * @returns {EnsembleReranker}
+ */
+function createDisagreeingEnsemble(options, weights = [1, 1]) {
+  return new EnsembleReranker({
+    models: [
+      { model: STUB_MODEL, weight: weights[0] },
+      { model: STUB_MODEL_TWO_LABEL, weight: weights[1], scoreHead: (row) => -row[1] }
+    ],
+    rerankerOptions: { cacheDir: unitCacheDir, logLevel: 'silent' },
+    ...options
+  });
+}
+
+unitTest('ensemble: rank-average and rrf combine the members\' rankings', () => withStubModels(async () => {
+  // Member ranks for (cats purr, dogs bark, fish swim): [1, 2, 3] and [3, 1, 2]
+  const documents = ['cats purr', 'dogs bark', 'fish swim'];
+  const rankAverage = createDisagreeingEnsemble({ combine: 'rank-average' });
+  const rrf = createDisagreeingEnsemble({ combine: 'rrf', rrfK: 0 });
+  await rankAverage.initialize();
+  await rrf.initialize();
+  try {
+    const averaged = await rankAverage.rerank('cats', documents, { topK: 3 });
+    assert.deepEqual(averaged.map(r => r.text), ['dogs bark', 'cats purr', 'fish swim']);
+    averaged.map(r => r._rerank_score).forEach((score, i) => assertClose(score, [2.5 / 3, 2 / 3, 1.5 / 3][i]));
+    assert.deepEqual(averaged[0]._rerank_model_ranks, { [STUB_MODEL]: 2, [STUB_MODEL_TWO_LABEL]: 1 });
+    assert.equal(averaged[0]._rerank_model_scores[STUB_MODEL_TWO_LABEL], 1);
+
+    const fused = await rrf.rerank('cats', documents, { topK: 3 });
+    fused.map(r => r._rerank_score).forEach((score, i) => assertClose(score, [1 + 1 / 2, 1 + 1 / 3, 1 / 3 + 1 / 2][i]));
+  } finally {
+    await rankAverage.dispose();
+    await rrf.dispose();
+  }
+}));
+
+unitTest('ensemble: weighted-mean mixes normalized member scores by weight', () => withStubModels(async () => {
+  const ensemble = createDisagreeingEnsemble({ combine: 'weighted-mean', normalization: 'min-max' }, [3, 1]);
+  await ensemble.initialize();
+  try {
+    const results = await ensemble.rerank('cats', ['dogs bark', 'cats purr', 'fish swim'], { topK: 2 });
+
+    assert.deepEqual(results.map(r => r._rerank_corpus_id), [1, 0]);
+    assertClose(results[0]._rerank_score, 0.75);
+    assertClose(results[1]._rerank_score, 0.25);
+  } finally {
+    await ensemble.dispose();
+  }
+}));
+
+unitTest('ensemble: rejects empty, duplicate, badly weighted and all-zero-weight member lists', () => {
+  const invalid = [
+    { models: [] },
+    { models: [STUB_MODEL, STUB_MODEL] },
+    { models: [{ model: STUB_MODEL, weight: 0 }] },
+    { models: [{ model: STUB_MODEL, weight: -1 }] },
+    { models: [{ model: STUB_MODEL, weight: Infinity }] },
+    { models: [{ model: STUB_MODEL, weight: '2' }] },
+    { models: [{ model: STUB_MODEL, weight: true }] },
+    { models: [STUB_MODEL], combine: 'max' },
+    { models: [STUB_MODEL], normalization: 'l2' }
+  ];
+  for (const options of invalid) {
+    assert.throws(() => new EnsembleReranker({ ...options, rerankerOptions: { logLevel: 'silent' } }), { code: 'INVALID_INPUT', param: 'models' }, JSON.stringify(options));
+  }
+});
+
+unitTest('ensemble: a deadline that passes between members fails with a timeout', () => withStubModels(async () => {
+  const ensemble = createDisagreeingEnsemble({});
+  await ensemble.initialize();
+  try {
+    // The first member finishes in time, but leaves no time for the second
+    const first = ensemble.members[0].reranker;
+    const rerank = first.rerank.bind(first);
+    first.rerank = async (...args) => {
+      const results = await rerank(...args);
+      await new Promise(resolve => setTimeout(resolve, 40));
+      return results;
+    };
+
+    await assert.rejects(ensemble.rerank('cats', ['cats purr', 'dogs bark'], { timeoutMs: 20 }), { name: 'AbortError', code: 'TIMEOUT' });
+    await assert.rejects(ensemble.rerank('cats', ['cats purr'], { timeoutMs: 0 }), { code: 'INVALID_INPUT', param: 'timeoutMs' });
+  } finally {
+    await ensemble.dispose();
+  }
+}));
+
+// --- Cascade reranking ---
+
+unitTest('cascade: later stages rescore only the survivors of earlier ones', () => withStubModels(async (stub) => {
+  const cascade = new CascadeReranker({
+    stages: [
+      { model: STUB_MODEL, keepTop: 2 },
+      // Inverted score head, so the last stage visibly decides the final order
+      { model: STUB_MODEL_TWO_LABEL, scoreHead: (row) => -row[1] }
+    ],
+    rerankerOptions: { cacheDir: unitCacheDir, logLevel: 'silent' }
+  });
+  await cascade.initialize();
+  try {
+    const { results, stages } = await cascade.rerankDetailed('cats dogs', ['fish swim', 'cats purr', 'dogs bark', 'cats dogs play'], { topK: 5 });
+
+    assert.deepEqual(results.map(r => r._rerank_corpus_id), [1, 3]);
+    assert.deepEqual(results[1]._rerank_stage_scores, { [STUB_MODEL]: 1 / (1 + Math.exp(-3)), [STUB_MODEL_TWO_LABEL]: -3 });
+    assert.equal(stub.tokenizerCalls.at(-1).pairs, 2);
+    assert.deepEqual(stages.map(({ model, inputDocuments, keptDocuments, prunedDocuments }) => ({ model, inputDocuments, keptDocuments, prunedDocuments })), [
+      { model: STUB_MODEL, inputDocuments: 4, keptDocuments: 2, prunedDocuments: 2 },
+      { model: STUB_MODEL_TWO_LABEL, inputDocuments: 2, keptDocuments: 2, prunedDocuments: 0 }
+    ]);
+  } finally {
+    await cascade.dispose();
+  }
+}));
+
+unitTest('cascade: a stage minScore prunes low scorers and the last stage applies topK', () => withStubModels(async () => {
+  const cascade = new CascadeReranker({
+    stages: [{ model: STUB_MODEL, minScore: 0.5 }, { model: STUB_MODEL_TWO_LABEL }],
+    rerankerOptions: { cacheDir: unitCacheDir, logLevel: 'silent' }
+  });
+  await cascade.initialize();
+  try {
+    const { results, stages } = await cascade.rerankDetailed('cats', ['fish swim', 'cats purr', 'dogs bark', 'cats nap'], { topK: 1 });
+
+    assert.deepEqual(results.map(r => r.text), ['cats purr']);
+    assert.deepEqual(stages.map(stage => stage.keptDocuments), [2, 1]);
+    assert.throws(() => new CascadeReranker({ stages: [] }), { code: 'INVALID_INPUT', param: 'stages' });
+    assert.throws(() => new CascadeReranker({ stages: [{ model: STUB_MODEL, keepTop: 0 }], rerankerOptions: { logLevel: 'silent' } }), { code: 'INVALID_INPUT', param: 'stages' });
+  } finally {
+    await cascade.dispose();
+  }
+}));
+
+unitTest('cascade: running out of time after the first stage fails with a timeout', () => withStubModels(async () => {
+  const cascade = new CascadeReranker({
+    stages: [{ model: STUB_MODEL, keepTop: 2 }, { model: STUB_MODEL_TWO_LABEL }],
+    rerankerOptions: { cacheDir: unitCacheDir, logLevel: 'silent' }
+  });
+  await cascade.initialize();
+  try {
+    // The prefilter finishes in time, but leaves no time for the last stage
+    const prefilter = cascade.stages[0].reranker;
+    const rerank = prefilter.rerank.bind(prefilter);
+    prefilter.rerank = async (...args) => {
+      const results = await rerank(...args);
+      await new Promise(resolve => setTimeout(resolve, 40));
+      return results;
+    };
+
+    await assert.rejects(cascade.rerankDetailed('cats', ['cats purr', 'dogs bark', 'fish swim'], { timeoutMs: 20 }), { name: 'AbortError', code: 'TIMEOUT' });
+  } finally {
+    await cascade.dispose();
+  }
+}));
+
+// --- Diversity and near-duplicates ---
+
+unitTest('diversity: near-duplicates fold into the better-ranked result', () => {
+  const ranked = [
+    { _rerank_corpus_id: 0, _rerank_score: 0.9, text: 'Cats purr softly' },
+    { _rerank_corpus_id: 1, _rerank_score: 0.8, text: 'cats purr softly, today' },
+    { _rerank_corpus_id: 2, _rerank_score: 0.5, text: 'dogs bark' }
+  ];
+  const results = diversifyResults(ranked, 5, resolveDiversityOptions({ lambda: 1, duplicateThreshold: 0.7 }));
+
+  assert.deepEqual(results.map(r => r._rerank_corpus_id), [0, 2]);
+  assert.equal(results[0]._rerank_duplicates.length, 1);
+  assert.equal(results[0]._rerank_duplicates[0]._rerank_corpus_id, 1);
+  assertClose(results[0]._rerank_duplicates[0]._rerank_similarity, 0.75);
+  assert.deepEqual(results[1]._rerank_duplicates, []);
+});
+
+unitTest('diversity: MMR trades relevance for novelty as lambda drops', () => {
+  const candidates = () => [
+    { _rerank_corpus_id: 0, _rerank_score: 1.0, text: 'cats purr' },
+    { _rerank_corpus_id: 1, _rerank_score: 0.9, text: 'cats purr loudly' },
+    { _rerank_corpus_id: 2, _rerank_score: 0.5, text: 'dogs bark' }
+  ];
+
+  assert.deepEqual(diversifyResults(candidates(), 3, resolveDiversityOptions({ lambda: 1 })).map(r => r._rerank_corpus_id), [0, 1, 2]);
+  const diverse = diversifyResults(candidates(), 2, resolveDiversityOptions({ lambda: 0.3 }));
+  assert.deepEqual(diverse.map(r => r._rerank_corpus_id), [0, 2]);
+  assertClose(diverse[0]._rerank_mmr_score, 0.3);
+  assertClose(diverse[1]._rerank_mmr_score, 0);
+});
+
+unitTest('diversity: ngram similarity and option validation', () => {
+  const ranked = [
+    { _rerank_corpus_id: 0, _rerank_score: 0.9, text: 'reranking' },
+    { _rerank_corpus_id: 1, _rerank_score: 0.8, text: 'reranker' }
+  ];
+  // 'reranking' and 'reranker' share 4 of their 9 distinct 3-grams
+  const [kept] = diversifyResults(ranked, 2, resolveDiversityOptions({ similarity: 'ngram', duplicateThreshold: 0.4 }));
+  assertClose(kept._rerank_duplicates[0]._rerank_similarity, 4 / 9);
+
+  assert.deepEqual(resolveDiversityOptions(true), { lambda: 0.7, similarity: 'token-overlap', ngramSize: 3, duplicateThreshold: null });
+  for (const diversity of [{ lambda: 2 }, { similarity: 'cosine' }, { ngramSize: 0 }, { duplicateThreshold: 0 }]) {
+    assert.throws(() => resolveDiversityOptions(diversity), { code: 'INVALID_INPUT', param: 'diversity' }, JSON.stringify(diversity));
+  }
+});
+
+unitTest('diversity: handles candidate lists longer than the call-argument limit', () => {
+  const ranked = Array.from({ length: 200000 }, (_, i) => ({ _rerank_corpus_id: i, _rerank_score: 1 - i / 200000, text: '' }));
+  const results = diversifyResults(ranked, 1, resolveDiversityOptions({ lambda: 1 }));
+
+  assert.equal(results[0]._rerank_corpus_id, 0);
+  assertClose(results[0]._rerank_mmr_score, 1);
+});
+
+unitTest('diversity: rerank() collapses duplicates before filling the page', () => withStubModels(async () => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+  try {
+    const documents = ['cats purr', 'cats purr', 'cats nap', 'dogs bark'];
+    const results = await reranker.rerank('cats', documents, { topK: 2, diversity: { duplicateThreshold: 0.9 } });
+
+    assert.deepEqual(results.map(r => r._rerank_corpus_id), [0, 2]);
+    assert.deepEqual(results[0]._rerank_duplicates.map(r => r._rerank_corpus_id), [1]);
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+// --- Document text extraction ---
+
+unitTest('text options: textField paths, templates and functions extract the scored text', () => {
+  const doc = { title: 'Cats', body: 'They purr.', meta: { summary: 'cat facts' } };
+
+  assert.equal(resolveTextOptions({}).extract({ text: 'plain' }, 0), 'plain');
+  assert.equal(resolveTextOptions({}).extract('a string document', 0), 'a string document');
+  assert.equal(resolveTextOptions({ textField: 'meta.summary' }).extract(doc, 0), 'cat facts');
+  assert.equal(resolveTextOptions({ textTemplate: '{title}\n{body} {missing}' }).extract(doc, 0), 'Cats\nThey purr. ');
+  assert.equal(resolveTextOptions({ textTemplate: (d, i) => `${i}: ${d.title}` }).extract(doc, 3), '3: Cats');
+});
+
+unitTest('text options: blank or absent text counts as missing, and bad options are rejected', () => {
+  const { extract } = resolveTextOptions({ textTemplate: '{title} {body}' });
+  assert.equal(extract({ other: 'x' }, 0), null);
+  assert.equal(resolveTextOptions({}).extract({ text: '   ' }, 0), null);
+  assert.equal(resolveTextOptions({}).extract('', 0), null);
+
+  assert.throws(() => resolveTextOptions({ missingText: 'ignore' }), { code: 'INVALID_INPUT', param: 'missingText' });
+  assert.throws(() => resolveTextOptions({ textTemplate: 42 }), { code: 'INVALID_INPUT', param: 'textTemplate' });
+});
+
+unitTest('text options: rerank() scores templated text and skips or rejects documents without it', () => withStubModels(async (stub) => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+  try {
+    const documents = [{ title: 'dogs', body: 'bark' }, { title: 'cats', body: 'purr' }, { id: 'no text' }];
+
+    const results = await reranker.rerank('cats', documents, { topK: 5, textTemplate: '{title}: {body}', missingText: 'skip' });
+    assert.deepEqual(results.map(r => r._rerank_corpus_id), [1, 0]);
+    assert.equal(results[0]._rerank_text, 'cats: purr');
+
+    const inferences = stub.inferences;
+    await assert.rejects(reranker.rerank('cats', documents, { textTemplate: '{title}: {body}' }), { code: 'INVALID_INPUT', param: 'documents', message: /Document 2 has no text/ });
+    assert.equal(stub.inferences, inferences);
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+unitTest('text options: calibrate() scores the same extracted text as rerank()', () => withStubModels(async (stub) => {
+  const reranker = new NativeEmbeddingReranker(unitOptions({ calibration: true }));
+  await reranker.initialize();
+  try {
+    const examples = [
+      { query: 'cats', document: { title: 'cats', body: 'purr' }, relevant: true },
+      { query: 'cats', document: { title: 'dogs', body: 'bark' }, relevant: false },
+      { query: 'cats', document: { id: 'no text' }, relevant: false }
+    ];
+
+    await assert.rejects(reranker.calibrate(examples, { textTemplate: '{title}: {body}' }), { code: 'INVALID_INPUT', param: 'examples', message: /Calibration example 2 has no document text/ });
+
+    stub.tokenizerCalls.length = 0;
+    const params = await reranker.calibrate(examples, { textTemplate: '{title}: {body}', missingText: 'skip', save: false });
+    assert.equal(params.samples, 2);
+    assert.equal(stub.tokenizerCalls.length, 1);
+    assert.equal(stub.tokenizerCalls[0].pairs, 2);
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+// --- Typed errors and input validation ---
+
+unitTest('errors: rerank() rejects bad queries, documents and options before any inference', () => withStubModels(async (stub) => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+  try {
+    const invalid = [
+      [['', ['a']], 'query'],
+      [['q', 'a'], 'documents'],
+      [['q', ['a', null]], 'documents'],
+      [['q', ['a'], { topK: 0 }], 'topK'],
+      [['q', ['a'], { batchSize: 1.5 }], 'batchSize'],
+      [['q', ['a'], { windowing: { maxTokens: 0 } }], 'windowing'],
+      [['q', ['a'], { timeoutMs: -1 }], 'timeoutMs'],
+      [['q', ['a'], { signal: 'stop' }], 'signal'],
+      [['q', ['a'], { offset: -1 }], 'offset'],
+      [['q', ['a'], { minScore: NaN }], 'minScore'],
+      [['q', ['a'], { relativeCutoff: 2 }], 'relativeCutoff']
+    ];
+    for (const [args, param] of invalid) {
+      const error = await reranker.rerank(...args).catch(e => e);
+      assert.ok(error instanceof InvalidInputError, `${param}: ${error}`);
+      assert.ok(error instanceof RerankerError);
+      assert.equal(error.code, 'INVALID_INPUT');
+      assert.equal(error.param, param);
+    }
+    assert.equal(stub.inferences, 0);
+    assert.deepEqual(await reranker.rerank('q', []), []);
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+unitTest('errors: load, initialization and inference failures carry their own codes', () => withStubModels(async (stub) => {
+  const uninitialized = new NativeEmbeddingReranker(unitOptions());
+  await assert.rejects(uninitialized.rerank('q', ['a']), { name: 'ModelNotInitializedError', code: 'MODEL_NOT_INITIALIZED' });
+
+  stub.failLoads = true;
+  await assert.rejects(new NativeEmbeddingReranker(unitOptions()).initialize(), { code: 'MODEL_LOAD_FAILED', modelName: STUB_MODEL });
+  stub.failLoads = false;
+
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+  try {
+    stub.gate = Promise.reject(new Error('onnx runtime failure'));
+    stub.gate.catch(() => {});
+    await assert.rejects(reranker.rerank('q', ['a']), { code: 'INFERENCE_FAILED' });
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+unitTest('errors: the server answers an empty document list with no results, without loading a model', () => withStubModels(async (stub) => {
+  await withServer({}, async (request) => {
+    const { status, body } = await request('POST', '/rerank', { query: 'q', documents: [] });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { model: STUB_MODEL, results: [] });
+    assert.equal(stub.loads.length, 0);
+  });
+}));
+
+// --- Score cutoffs and pagination ---
+
+/**
+ * Build unranked results from scores, numbered in input order
+ * @param {Array<number>} scores
+ * @returns {Array<Object>}
+ */
+function resultsWithScores(scores) {
+  return scores.map((score, i) => ({ _rerank_corpus_id: i, _rerank_score: score }));
+}
+
+unitTest('cutoffs: relativeCutoff keeps scores of at least that fraction of the best, and is skipped for a non-positive best', () => {
+  const ids = (results) => results.map(r => r._rerank_corpus_id);
+
+  assert.deepEqual(ids(rankResults(resultsWithScores([0.3, 0.8, 0.4, 0.5]), { topK: Infinity, relativeCutoff: 0.5 })), [1, 3, 2]);
+  assert.deepEqual(ids(rankResults(resultsWithScores([-3, 2, -1]), { topK: Infinity, relativeCutoff: 1 })), [1]);
+  assert.deepEqual(ids(rankResults(resultsWithScores([-3, 2, -1, 0]), { topK: Infinity, relativeCutoff: 0 })), [1, 3]);
+  // A fraction of a best score at or below 0 would drop the best result itself
+  assert.deepEqual(ids(rankResults(resultsWithScores([-0.9, -0.7, -0.8]), { topK: Infinity, relativeCutoff: 0.5 })), [1, 2, 0]);
+  assert.deepEqual(ids(rankResults(resultsWithScores([0, -1]), { topK: Infinity, relativeCutoff: 0.5 })), [0, 1]);
+  // The best score is taken after minScore
+  assert.deepEqual(ids(rankResults(resultsWithScores([0.2, 0.9, 0.6, 0.4]), { topK: Infinity, minScore: 0.5, relativeCutoff: 0.5 })), [1, 2]);
+});
+
+unitTest('cutoffs: offset pages are stable, equal scores keeping input order', () => {
+  const scores = [0.5, 0.9, 0.5, 0.5, 0.1];
+  const page = (offset) => rankResults(resultsWithScores(scores), { topK: 2, offset }).map(r => r._rerank_corpus_id);
+
+  assert.deepEqual([page(0), page(2), page(4), page(6)], [[1, 0], [2, 3], [4], []]);
+});
+
+unitTest('cutoffs: rerank() applies minScore, relativeCutoff and offset/limit', () => withStubModels(async () => {
+  const reranker = new NativeEmbeddingReranker(unitOptions({ scoreHead: 'raw-logit' }));
+  await reranker.initialize();
+  try {
+    // Raw logits: 3, -1, 1, -1
+    const documents = ['cats nap dogs', 'fish swim', 'cats purr', 'birds sing'];
+    const query = 'cats dogs';
+
+    assert.deepEqual((await reranker.rerank(query, documents, { topK: Infinity, relativeCutoff: 0.3 })).map(r => r._rerank_corpus_id), [0, 2]);
+    assert.deepEqual((await reranker.rerank(query, documents, { topK: Infinity, minScore: 0 })).map(r => r._rerank_score), [3, 1]);
+    assert.deepEqual((await reranker.rerank(query, documents, { offset: 1, limit: 2 })).map(r => r._rerank_corpus_id), [2, 1]);
+    // Every logit negative: the relative cutoff is skipped
+    assert.equal((await reranker.rerank('owls', documents, { topK: Infinity, relativeCutoff: 0.5 })).length, 4);
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+unitTest('cutoffs: rerankStream() returns the same results as rerank() under minScore and relativeCutoff', () => withStubModels(async () => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+  try {
+    // Sigmoid scores of 2 × (matched words) − 1: several levels, and more candidates than topK
+    const documents = ['red fox den', 'blue whale', 'red bird', 'fox red den here', 'red fox', 'green frog', 'den of a fox', 'red'];
+    const query = 'red fox den';
+
+    for (const options of [{ topK: 3, relativeCutoff: 0.9 }, { topK: 5, relativeCutoff: 0.5 }, { topK: 2, minScore: 0.5, relativeCutoff: 0.99 }, { topK: Infinity, relativeCutoff: 0.2 }]) {
+      const ranked = await reranker.rerank(query, documents, options);
+      const streamed = await reranker.rerankStream(query, documents, { ...options, batchSize: 3 }).done;
+      assert.deepEqual(streamed.map(r => [r._rerank_corpus_id, r._rerank_score]), ranked.map(r => [r._rerank_corpus_id, r._rerank_score]), JSON.stringify(options));
+    }
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+// --- Explanations ---
+
+unitTest('explain: splitSentences returns trimmed spans whose offsets index the text', () => {
+  const text = '  Dogs bark.  Cats purr softly!\nFish swim? ';
+  const spans = splitSentences(text);
+
+  assert.deepEqual(spans.map(span => span.text), ['Dogs bark.', 'Cats purr softly!', 'Fish swim?']);
+  for (const span of spans) assert.equal(text.slice(span.start, span.end), span.text);
+  assert.deepEqual(splitSentences('   '), []);
+});
+
+unitTest('explain: sentence and leave-one-out methods rank the supporting sentence first', () => withStubModels(async () => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+  try {
+    const text = 'Dogs bark loudly. Cats purr softly. Cats and dogs nap.';
+
+    const [bySentence] = await reranker.rerank('cats purr', [text], { explain: { topSpans: 2 } });
+    const { method, spans } = bySentence._rerank_explanation;
+    assert.equal(method, 'sentence');
+    assert.deepEqual(spans.map(span => span.text), ['Cats purr softly.', 'Cats and dogs nap.']);
+    assertClose(spans[0].score, 1 / (1 + Math.exp(-3)));
+    assert.equal(text.slice(spans[0].start, spans[0].end), spans[0].text);
+
+    // Only dropping the second sentence loses 'purr', so only it changes the score
+    const [byRemoval] = await reranker.rerank('cats purr', [text], { explain: { method: 'leave-one-out' } });
+    assert.deepEqual(byRemoval._rerank_explanation.spans.map(span => [span.text, span.score]), [
+      ['Cats purr softly.', 1 / (1 + Math.exp(-3)) - 1 / (1 + Math.exp(-1))],
+      ['Dogs bark loudly.', 0],
+      ['Cats and dogs nap.', 0]
+    ]);
+
+    const [limited] = await reranker.rerank('cats purr', [text], { explain: { maxSentences: 1 } });
+    assert.deepEqual(limited._rerank_explanation.spans.map(span => span.text), ['Dogs bark loudly.']);
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+unitTest('explain: only returned results are explained, and bad options are rejected', () => withStubModels(async (stub) => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+  try {
+    const results = await reranker.rerank('cats', ['Cats purr. Dogs bark.', 'Fish swim. Birds sing.'], { topK: 1, explain: true });
+    assert.equal(results.length, 1);
+    // One batch for the two documents, one for the two sentences of the returned document
+    assert.deepEqual(stub.tokenizerCalls.map(call => call.pairs), [2, 2]);
+
+    assert.deepEqual(resolveExplainOptions(true), { method: 'sentence', topSpans: 3, maxSentences: 64 });
+    for (const explain of [{ method: 'attention' }, { topSpans: 0 }, { maxSentences: 1.5 }]) {
+      assert.throws(() => resolveExplainOptions(explain), { code: 'INVALID_INPUT', param: 'explain' }, JSON.stringify(explain));
+    }
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+// --- Input templates ---
+
+const INSTRUCTION_TEMPLATE = {
+  query: 'Instruct: given a question about animals, retrieve passages that answer it Query: {query}',
+  document: 'passage: {document}'
+};
+
+unitTest('input templates: formatPairs applies per-call, instance and registered templates in that order', () => withStubModels(async () => {
+  ModelLoader.registerInputTemplate(STUB_MODEL, { document: 'registered: {document}' });
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  const overridden = new NativeEmbeddingReranker(unitOptions({ inputTemplate: (query, passage) => [query.toUpperCase(), passage] }));
+  try {
+    await reranker.initialize();
+    await overridden.initialize();
+
+    assert.deepEqual(reranker.modelLoader.formatPairs([['q', 'p']]), [['q', 'registered: p']]);
+    assert.deepEqual(overridden.modelLoader.formatPairs([['q', 'p']]), [['Q', 'p']]);
+    assert.deepEqual(overridden.modelLoader.formatPairs([['q', 'p']], { query: 'query: {query}' }), [['query: q', 'p']]);
+    assert.deepEqual(overridden.modelLoader.formatPairs([['q', 'p']], false), [['q', 'p']]);
+    assert.throws(() => reranker.modelLoader.formatPairs([['q', 'p']], { query: 'no placeholder' }), { code: 'INVALID_INPUT', param: 'inputTemplate' });
+  } finally {
+    ModelLoader.unregisterInputTemplate(STUB_MODEL);
+    await reranker.dispose();
+    await overridden.dispose();
+  }
+}));
+
+unitTest('input templates: token counts for dynamic batching include the template', () => withStubModels(async () => {
+  const reranker = new NativeEmbeddingReranker(unitOptions({ inputTemplate: { query: 'query: {query}', document: 'passage: {document}' } }));
+  await reranker.initialize();
+  try {
+    const loader = reranker.modelLoader;
+    // [CLS] query [SEP] passage [SEP], plus one template word on each side
+    assert.equal(loader.countPairTokens('cats', 'they purr'), 8);
+    assert.equal(loader.countPairTokens('cats', 'they purr', { inputTemplate: false }), 6);
+    // A per-call template replaces the instance template on both sides
+    assert.equal(loader.countPairTokens('cats', 'they purr', { inputTemplate: { query: 'a b c {query}' } }), 9);
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+unitTest('input templates: passage windows fit the model input next to the formatted query', () => withStubModels(async () => {
+  const reranker = new NativeEmbeddingReranker(unitOptions({ inputTemplate: INSTRUCTION_TEMPLATE }));
+  await reranker.initialize();
+  try {
+    const loader = reranker.modelLoader;
+    const { tokenizer } = loader.getModelAndTokenizer();
+    const passage = Array.from({ length: 150 }, (_, i) => `filler${i}`).join(' ') + ' needle haystack';
+
+    const windows = loader.createPassageWindows('needle haystack', passage, { overlap: 8 });
+    for (const window of windows) {
+      const [[query, text]] = loader.formatPairs([['needle haystack', window.text]]);
+      assert.ok(tokenizer.encode(query, text).length <= 64, `window ${window.start}-${window.end} overflows`);
+    }
+
+    // The tail of the last window is not truncated away, so the match at the very end still counts
+    const [best] = await reranker.rerank('needle haystack', [passage], { windowing: { overlap: 8 } });
+    assert.ok(best._rerank_score > 0.9);
+  } finally {
+    await reranker.dispose();
+  }
+}, { maxLength: 64 }));
+
+// --- Offline mode and manifests ---
+
+/**
+ * Write the files requiredModelFiles() expects into a model folder
+ * @param {string} modelDir - Folder to create
+ * @returns {string} modelDir
+ */
+function writeModelFiles(modelDir) {
+  fs.mkdirSync(path.join(modelDir, 'onnx'), { recursive: true });
+  for (const file of requiredModelFiles()) {
+    fs.writeFileSync(path.join(modelDir, file), `contents of ${file}`);
+  }
+  return modelDir;
+}
+
+unitTest('manifest: buildManifest records every file and verifyModelFiles accepts the untouched folder', async () => {
+  const modelDir = writeModelFiles(path.join(unitCacheDir, 'manifest-ok', 'org', 'model'));
+  const manifest = await buildManifest(modelDir);
+
+  assert.equal(manifest.model, 'org/model');
+  assert.deepEqual(Object.keys(manifest.files), ['config.json', 'onnx/model_quantized.onnx', 'tokenizer.json', 'tokenizer_config.json']);
+  assert.equal(manifest.files['config.json'].size, 'contents of config.json'.length);
+  assert.equal(manifest.files['config.json'].sha256, await hashFile(path.join(modelDir, 'config.json')));
+
+  const checked = await verifyModelFiles(modelDir, { requireManifest: true });
+  assert.equal(checked.manifest, path.join(modelDir, MANIFEST_FILE));
+  assert.equal(checked.files.length, 4);
+  await assert.rejects(buildManifest(path.join(unitCacheDir, 'no-such-folder')), { code: 'INVALID_INPUT', param: 'modelDir' });
+});
+
+unitTest('manifest: verifyModelFiles names the missing or corrupt file', async () => {
+  const modelDir = writeModelFiles(path.join(unitCacheDir, 'manifest-bad', 'org', 'model'));
+  await assert.rejects(verifyModelFiles(modelDir, { requireManifest: true }), { code: 'MODEL_LOAD_FAILED', file: MANIFEST_FILE });
+  await buildManifest(modelDir);
+
+  // Same size, different bytes: only the checksum catches it
+  fs.writeFileSync(path.join(modelDir, 'tokenizer.json'), 'CONTENTS OF tokenizer.json');
+  await assert.rejects(verifyModelFiles(modelDir), { code: 'MODEL_LOAD_FAILED', file: 'tokenizer.json', message: /SHA-256/ });
+  await verifyModelFiles(modelDir, { verifyChecksums: false });
+
+  fs.writeFileSync(path.join(modelDir, 'config.json'), '{}');
+  await assert.rejects(verifyModelFiles(modelDir, { verifyChecksums: false }), { file: 'config.json', message: /expected \d+ bytes/ });
+
+  fs.rmSync(path.join(modelDir, 'onnx', 'model_quantized.onnx'));
+  await assert.rejects(verifyModelFiles(modelDir), { file: 'onnx/model_quantized.onnx', message: /Missing required file/ });
+  await assert.rejects(verifyModelFiles(modelDir, { requiredFiles: ['config.json', 'extra.bin'] }), { file: 'extra.bin' });
+});
+
+unitTest('offline: initialize() verifies local files and never asks for a download', () => withStubModels(async (stub) => {
+  const cacheDir = path.join(unitCacheDir, 'offline-cache');
+  const missing = new NativeEmbeddingReranker(unitOptions({ cacheDir, offline: true }));
+  await assert.rejects(missing.initialize(), { code: 'MODEL_LOAD_FAILED', file: 'config.json' });
+  assert.equal(stub.loads.length, 0);
+
+  await buildManifest(writeModelFiles(getModelDir(cacheDir, STUB_MODEL)));
+  const reranker = new NativeEmbeddingReranker(unitOptions({ cacheDir, offline: { requireManifest: true } }));
+  try {
+    await reranker.initialize();
+    assert.equal(stub.loads.length, 1);
+    assert.equal(stub.loads[0].options.local_files_only, true);
+  } finally {
+    await reranker.dispose();
+  }
+  assert.throws(() => new NativeEmbeddingReranker(unitOptions({ offline: 'yes' })), { code: 'INVALID_INPUT', param: 'offline' });
+}));
+
+// --- Model registry ---
+
+unitTest('registry: resolveVariant picks the quantized, full or named ONNX file', () => {
+  assert.deepEqual(ModelRegistry.resolveVariant('Xenova/ms-marco-MiniLM-L-6-v2'), { file: 'onnx/model_quantized.onnx', modelFileName: 'model_quantized', quantized: true, isDefault: true });
+  assert.deepEqual(ModelRegistry.resolveVariant('Xenova/ms-marco-MiniLM-L-6-v2', { quantized: false }), { file: 'onnx/model.onnx', modelFileName: 'model', quantized: false, isDefault: false });
+  assert.deepEqual(ModelRegistry.resolveVariant('unregistered/model', { onnxFile: 'model_fp16.onnx', quantized: true }), { file: 'onnx/model_fp16.onnx', modelFileName: 'model_fp16', quantized: false, isDefault: false });
+
+  ModelRegistry.register('test/full-precision', { quantized: false, files: { full: 'onnx/weights.onnx' } });
+  try {
+    assert.deepEqual(ModelRegistry.resolveVariant('test/full-precision'), { file: 'onnx/weights.onnx', modelFileName: 'weights', quantized: false, isDefault: true });
+  } finally {
+    ModelRegistry.unregister('test/full-precision');
+  }
+
+  assert.throws(() => ModelRegistry.resolveVariant('m', { onnxFile: 'weights/model.bin' }), { code: 'INVALID_INPUT', param: 'onnxFile' });
+  assert.throws(() => ModelRegistry.resolveVariant('m', { quantized: 'yes' }), { code: 'INVALID_INPUT', param: 'quantized' });
+  assert.throws(() => ModelRegistry.register('test/bad', { maxSequenceLength: 0 }), { code: 'INVALID_INPUT', param: 'maxSequenceLength' });
+});
+
+unitTest('registry: the loader requests the selected ONNX file by name', () => withStubModels(async (stub) => {
+  const reranker = new NativeEmbeddingReranker(unitOptions({ onnxFile: 'onnx/model_fp16.onnx' }));
+  await reranker.initialize();
+  try {
+    assert.equal(stub.loads[0].options.model_file_name, 'model_fp16');
+    assert.equal(stub.loads[0].options.quantized, false);
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+unitTest('registry: batches pad to the longest pair and truncate at the registry limit', () => withStubModels(async (stub) => {
+  ModelRegistry.register('test/short-input', { maxSequenceLength: 8 });
+  const plain = new NativeEmbeddingReranker(unitOptions());
+  const short = new NativeEmbeddingReranker(unitOptions({ model: 'test/short-input' }));
+  try {
+    await plain.initialize();
+    await short.initialize();
+    const documents = ['cats', 'cats purr', 'cats purr when they are happy and warm'];
+
+    await plain.rerank('cats', documents);
+    assert.deepEqual(stub.tokenizerCalls.at(-1), { pairs: 3, lengths: [5, 6, 12], paddedLength: 12 });
+
+    assert.equal(short.modelLoader.getMaxSequenceLength(), 8);
+    await short.rerank('cats', documents);
+    assert.deepEqual(stub.tokenizerCalls.at(-1), { pairs: 3, lengths: [5, 6, 8], paddedLength: 8 });
+  } finally {
+    await plain.dispose();
+    await short.dispose();
+    ModelRegistry.unregister('test/short-input');
+  }
+}));
+
+
+unitTest('registry: inference workers load runtime-registered models from the resolved config', () => withStubModels(async (stub) => {
+  ModelRegistry.register('test/runtime-only', { quantized: false, files: { full: 'onnx/weights.onnx' }, maxSequenceLength: 8 });
+  const reranker = new NativeEmbeddingReranker(unitOptions({ model: 'test/runtime-only' }));
+  const modelConfig = reranker.modelLoader.getWorkerConfig();
+  // A worker's registry never saw the registration
+  ModelRegistry.unregister('test/runtime-only');
+
+  const pool = new InferencePool({ modelName: 'test/runtime-only', modelConfig, size: 1, logger: silentLogger, workerScript: writeWorkerScript('config-worker.mjs', `import { workerData } from 'worker_threads';
+parentPort.postMessage({ type: 'ready' });
+parentPort.on('message', ({ id }) => parentPort.postMessage({ type: 'result', id, logits: [[workerData.modelConfig.maxSequenceLength]] }));`) });
+  const worker = new ModelLoader({ modelName: 'test/runtime-only', cacheDir: unitCacheDir, logger: silentLogger, modelConfig });
+  try {
+    assert.deepEqual(modelConfig, { variant: { file: 'onnx/weights.onnx', modelFileName: 'weights', quantized: false, isDefault: true }, maxSequenceLength: 8 });
+    await withinTimeout(pool.start());
+    assert.deepEqual(await withinTimeout(pool.run([['q', 'x']])), [[8]]);
+
+    await worker.initialize();
+    assert.equal(stub.loads.at(-1).options.model_file_name, 'weights');
+    assert.equal(worker.cacheKey, 'test/runtime-only');
+    assert.equal(worker.getMaxSequenceLength(), 8);
+  } finally {
+    await pool.close();
+    await worker.release();
+    await reranker.dispose();
+  }
+}));
+
+unitTest('registry: ONNX variants cache scores apart and clear() removes them with the model', () => withStubModels(async () => {
+  const reranker = new NativeEmbeddingReranker(unitOptions({ quantized: false, scoreCache: true }));
+  await reranker.initialize();
+  try {
+    assert.equal(reranker.modelLoader.cacheKey, `${STUB_MODEL}@onnx/model.onnx`);
+    await reranker.rerank('red fox', ['red fox', 'blue whale']);
+    reranker.scoreCache.set(STUB_MODEL, 'red fox', 'red fox', [0]);
+    reranker.scoreCache.set('other/model', 'red fox', 'red fox', [0]);
+    assert.equal(reranker.scoreCache.getStats().size, 4);
+
+    reranker.scoreCache.clear(STUB_MODEL);
+    assert.equal(reranker.scoreCache.getStats().size, 1);
+    assert.deepEqual(reranker.scoreCache.get('other/model', 'red fox', 'red fox'), [0]);
+  } finally {
+    await reranker.dispose();
+  }
+}));
+
+// --- Shared model leases ---
+
+unitTest('leases: instances share one load and the last dispose() unloads the model', () => withStubModels(async (stub) => {
+  const first = new NativeEmbeddingReranker(unitOptions());
+  const second = new NativeEmbeddingReranker(unitOptions());
+  await Promise.all([first.initialize(), second.initialize()]);
+  await first.initialize(); // A second initialize() does not take a second lease
+
+  assert.equal(stub.loads.length, 1);
+  assert.deepEqual(ModelLoader.getRefCounts(), { [STUB_MODEL]: 2 });
+
+  await first.dispose();
+  await first.dispose(); // Releasing twice must not drop the other instance's lease
+  assert.deepEqual(ModelLoader.getRefCounts(), { [STUB_MODEL]: 1 });
+  assert.equal((await second.rerank('cats', ['cats purr'])).length, 1);
+  assert.equal(stub.disposals, 0);
+
+  await second.dispose();
+  assert.equal(stub.disposals, 1);
+  assert.deepEqual(ModelLoader.getCachedModels(), []);
+  assert.deepEqual(ModelLoader.getRefCounts(), {});
+
+  // A disposed instance can lease the model again
+  await first.initialize();
+  assert.equal(stub.loads.length, 2);
+  await first.dispose();
+}));
+
+unitTest('leases: release() reports the last lease and clearCache() revokes every lease', () => withStubModels(async (stub) => {
+  const first = new NativeEmbeddingReranker(unitOptions());
+  const second = new NativeEmbeddingReranker(unitOptions());
+  await first.initialize();
+  await second.initialize();
+
+  assert.equal(await first.modelLoader.release(), false);
+  assert.equal(first.modelLoader.hasLease(), false);
+  assert.equal(second.modelLoader.getRefCount(), 1);
+  assert.equal(await second.modelLoader.release(), true);
+  assert.equal(await second.modelLoader.release(), false);
+  assert.equal(stub.disposals, 1);
+
+  await first.initialize();
+  // clearCache() reports to the console directly
+  const log = console.log;
+  console.log = () => {};
+  try {
+    ModelLoader.clearCache(STUB_MODEL);
+  } finally {
+    console.log = log;
+  }
+  assert.equal(first.modelLoader.hasLease(), false);
+  await assert.rejects(first.rerank('cats', ['cats purr']), { code: 'MODEL_NOT_INITIALIZED' });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(stub.disposals, 2); // The cleared model's session is freed too
+}));
+
+unitTest('leases: a model loaded after clearCache() discarded it is disposed, not leaked', () => withStubModels(async (stub) => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+
+  // Hold the first load until the cache has been cleared under it
+  let finishLoad;
+  const loadModel = AutoModelForSequenceClassification.from_pretrained;
+  AutoModelForSequenceClassification.from_pretrained = async (...args) => {
+    AutoModelForSequenceClassification.from_pretrained = loadModel;
+    await new Promise(resolve => { finishLoad = resolve; });
+    return loadModel(...args);
+  };
+
+  const loading = reranker.initialize();
+  while (!finishLoad) await new Promise(resolve => setImmediate(resolve));
+  const log = console.log;
+  console.log = () => {};
+  try {
+    ModelLoader.clearCache(STUB_MODEL);
+  } finally {
+    console.log = log;
+  }
+  finishLoad();
+  await loading;
+
+  // The discarded copy was disposed and initialize() loaded a fresh one
+  assert.equal(stub.loads.length, 2);
+  assert.equal(stub.disposals, 1);
+  assert.equal(reranker.modelLoader.hasLease(), true);
+  await reranker.dispose();
+  assert.equal(stub.disposals, 2);
+}));
+
+unitTest('leases: dispose() during a running rerank() frees the session only after the call finishes', () => withStubModels(async (stub) => {
+  const reranker = new NativeEmbeddingReranker(unitOptions());
+  await reranker.initialize();
+
+  let open;
+  stub.gate = new Promise(resolve => { open = resolve; });
+  const running = reranker.rerank('cats', ['cats purr', 'dogs bark']);
+  await new Promise(resolve => setImmediate(resolve));
+
+  await reranker.dispose();
+  assert.deepEqual(ModelLoader.getRefCounts(), {});
+  assert.equal(stub.disposals, 0);
+
+  open();
+  stub.gate = null;
+  assert.equal((await running)[0].text, 'cats purr');
+  assert.equal(stub.disposals, 1);
+}));
+
+// --- Model cache limits ---
+
+/**
+ * Run a test under a model cache policy, restoring the unlimited default afterwards
+ * @param {Object} limits - configureCache() options
+ * @param {Function} fn - async () => void
+ * @returns {Promise<void>}
+ */
+async function withCacheLimits(limits, fn) {
+  await ModelLoader.configureCache(limits);
+  try {
+    await fn();
+  } finally {
+    await ModelLoader.configureCache();
+  }
+}
+
+unitTest('model cache: the least recently used idle model is evicted and reloads on its next call', () => withStubModels(async (stub) => {
+  await withCacheLimits({ maxModels: 1 }, async () => {
+    const first = new NativeEmbeddingReranker(unitOptions());
+    const second = new NativeEmbeddingReranker(unitOptions({ model: STUB_MODEL_TWO_LABEL }));
+    try {
+      const before = ModelLoader.getCacheStats();
+      await first.initialize();
+      await second.initialize();
+
+      assert.deepEqual(ModelLoader.getCachedModels(), [STUB_MODEL_TWO_LABEL]);
+      assert.deepEqual(ModelLoader.getRefCounts(), { [STUB_MODEL]: 1, [STUB_MODEL_TWO_LABEL]: 1 });
+      assert.equal(stub.disposals, 1); // The evicted model's session is freed before initialize() returns
+
+      // The evicted model still serves its lease holder, at the cost of a reload
+      assert.equal((await first.rerank('cats', ['cats purr']))[0].text, 'cats purr');
+      assert.equal(stub.loads.length, 3);
+      assert.deepEqual(ModelLoader.getCachedModels(), [STUB_MODEL]);
+
+      const stats = ModelLoader.getCacheStats();
+      assert.equal(stats.evictions - before.evictions, 2);
+      assert.equal(stats.reloads - before.reloads, 1);
+      assert.deepEqual(stats.models.map(({ key, loaded, loads, evictions }) => ({ key, loaded, loads, evictions })), [
+        { key: STUB_MODEL, loaded: true, loads: 2, evictions: 1 },
+        { key: STUB_MODEL_TWO_LABEL, loaded: false, loads: 1, evictions: 1 }
+      ]);
+    } finally {
+      await first.dispose();
+      await second.dispose();
+    }
+  });
+}));
+
+unitTest('model cache: the memory budget counts estimated bytes and never evicts a model in use', () => withStubModels(async (stub) => {
+  // Each stub model is estimated at 1000 × 8 embeddings + 12 × 8² layer weights = 8768 bytes
+  await withCacheLimits({ maxMemoryBytes: 10000 }, async () => {
+    const first = new NativeEmbeddingReranker(unitOptions());
+    const second = new NativeEmbeddingReranker(unitOptions({ model: STUB_MODEL_TWO_LABEL }));
+    try {
+      await first.initialize();
+      assert.equal(ModelLoader.getCacheStats().estimatedMemoryBytes, 8768);
+
+      // Hold the first model in a running call while the second one loads
+      let open;
+      stub.gate = new Promise(resolve => { open = resolve; });
+      const running = first.rerank('cats', ['cats purr']);
+      await new Promise(resolve => setImmediate(resolve));
+      await second.initialize();
+      assert.deepEqual(ModelLoader.getCachedModels().sort(), [STUB_MODEL, STUB_MODEL_TWO_LABEL].sort());
+      assert.equal(ModelLoader.getCacheStats().estimatedMemoryBytes, 2 * 8768);
+
+      open();
+      stub.gate = null;
+      await running;
+      // The next load enforces the budget again, now that the first model is idle
+      await second.dispose();
+      await second.initialize();
+      assert.deepEqual(ModelLoader.getCachedModels(), [STUB_MODEL_TWO_LABEL]);
+    } finally {
+      await first.dispose();
+      await second.dispose();
+    }
+  });
+  assert.throws(() => ModelLoader.configureCache({ maxModels: 0 }), { code: 'INVALID_INPUT', param: 'maxModels' });
+  assert.throws(() => ModelLoader.configureCache({ maxMemoryBytes: -1 }), { code: 'INVALID_INPUT', param: 'maxMemoryBytes' });
+}));
+
+// --- Model aliases ---
+
+/**
+ * Run a test with an AliasReranker for a fresh alias, removing the alias afterwards
+ * @param {Function} fn - async (alias) => void, alias starting on STUB_MODEL
+ * @returns {Promise<void>}
+ */
+async function withAlias(fn) {
+  const alias = new AliasReranker({ alias: 'test-production', model: STUB_MODEL, rerankerOptions: { cacheDir: unitCacheDir, logLevel: 'silent' } });
+  try {
+    await alias.initialize();
+    await fn(alias);
+  } finally {
+    await alias.dispose();
+    ModelRegistry.removeAlias('test-production');
+  }
+}
+
+unitTest('aliases: swapModel() switches new calls at once and releases the old model after its calls finish', () => withStubModels(async (stub) => {
+  await withAlias(async (alias) => {
+    let open;
+    stub.gate = new Promise(resolve => { open = resolve; });
+    const running = alias.rerank('cats', ['cats purr', 'dogs bark']);
+
+    let swapped = false;
+    const swap = alias.swapModel(STUB_MODEL_TWO_LABEL).then((result) => { swapped = true; return result; });
+    while (alias.getReranker().model !== STUB_MODEL_TWO_LABEL) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    assert.equal(ModelRegistry.resolveAlias('test-production'), STUB_MODEL_TWO_LABEL);
+    // The old model is still loaded for the call that started on it
+    assert.deepEqual(ModelLoader.getCachedModels().sort(), [STUB_MODEL, STUB_MODEL_TWO_LABEL].sort());
+    assert.equal(swapped, false);
+
+    open();
+    stub.gate = null;
+    assert.equal((await running)[0].text, 'cats purr');
+    assert.deepEqual(await swap, { alias: 'test-production', model: STUB_MODEL_TWO_LABEL, previousModel: STUB_MODEL, warmupMs: (await swap).warmupMs, drained: true });
+    assert.deepEqual(ModelLoader.getCachedModels(), [STUB_MODEL_TWO_LABEL]);
+    assert.equal(alias.getModelInfo().swaps, 1);
+    assert.equal((await alias.rerank('cats', ['cats purr']))[0].text, 'cats purr');
+  });
+}));
+
+unitTest('aliases: a failed load keeps the old model and a drain timeout stops waiting', () => withStubModels(async (stub) => {
+  await withAlias(async (alias) => {
+    stub.failLoads = true;
+    await assert.rejects(alias.swapModel(STUB_MODEL_TWO_LABEL), { code: 'MODEL_LOAD_FAILED' });
+    stub.failLoads = false;
+    assert.equal(alias.getReranker().model, STUB_MODEL);
+    assert.equal(ModelRegistry.resolveAlias('test-production'), STUB_MODEL);
+    assert.equal((await alias.rerank('cats', ['cats purr'])).length, 1);
+
+    let open;
+    stub.gate = new Promise(resolve => { open = resolve; });
+    const running = alias.rerank('cats', ['cats purr']);
+    const { drained } = await alias.swapModel(STUB_MODEL_TWO_LABEL, { drainTimeoutMs: 20 });
+    assert.equal(drained, false);
+    open();
+    stub.gate = null;
+    await running;
+  });
+}));
+
+unitTest('aliases: rejects unknown aliases and alias-to-alias swaps; swapping to the current model is a no-op', () => withStubModels(async (stub) => {
+  assert.throws(() => new AliasReranker({ alias: 'test-missing' }), { code: 'INVALID_INPUT', param: 'alias' });
+
+  await withAlias(async (alias) => {
+    ModelRegistry.setAlias('test-staging', STUB_MODEL_TWO_LABEL);
+    try {
+      await assert.rejects(alias.swapModel('test-staging'), { code: 'INVALID_INPUT', param: 'model' });
+    } finally {
+      ModelRegistry.removeAlias('test-staging');
+    }
+    assert.deepEqual(await alias.swapModel(STUB_MODEL), { alias: 'test-production', model: STUB_MODEL, previousModel: STUB_MODEL, warmupMs: 0, drained: true });
+    assert.equal(stub.loads.length, 1);
+  });
+}));
+
+// ====================================================================
+// COMMAND-LINE INTERFACE
+// ====================================================================
+
+// Command-line interface - only run if this file is called directly
+const __filename = fileURLToPath(import.meta.url);
+const isMainModule = process.argv[1] === __filename;
+
+if (isMainModule) {
+  const filterIndex = process.argv.indexOf('--filter');
+  runUnitTests({ filter: filterIndex === -1 ? null : process.argv[filterIndex + 1] })
+    .then(({ failed }) => process.exit(failed > 0 ? 1 : 0))
+    .catch(err => {
+      console.error('Unit tests failed:', err);
+      process.exit(1);
+    });
+}